@@ -0,0 +1,26 @@
+// Writes organizations.js, the bundled copy of organizations.json that the organization
+// directory falls back to on file:// pages. Run with `npm run build:directory` after
+// editing organizations.json; `npm test` fails while the two differ.
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, 'organizations.json');
+const TARGET = path.join(__dirname, 'organizations.js');
+
+// organizations.js as generated from the JSON text of the directory
+function renderOrganizationsScript(json) {
+    return [
+        '// Generated from organizations.json by `npm run build:directory`. Don\'t edit by hand.',
+        '// OrganizationDirectory falls back to it when the fixture can\'t be fetched, e.g. when',
+        '// dashboard.html is opened from file://.',
+        `window.organizationDirectoryFallback = ${JSON.stringify(JSON.parse(json), null, 4)};`,
+        ''
+    ].join('\n');
+}
+
+if (require.main === module) {
+    fs.writeFileSync(TARGET, renderOrganizationsScript(fs.readFileSync(SOURCE, 'utf8')));
+    console.log(`✅ Wrote ${path.relative(process.cwd(), TARGET)} from ${path.relative(process.cwd(), SOURCE)}`);
+}
+
+module.exports = { SOURCE, TARGET, renderOrganizationsScript };
@@ -1,943 +1,4372 @@
 // Dashboard functionality with account-specific sandbox management
-class Dashboard {
-    constructor() {
-        this.currentOpenPanel = null;
-        this.previousNavPanelState = null;
-        this.panels = document.querySelectorAll('.nav-panel');
-        this.currentActiveAccount = null;
-        this.accountSandboxes = this.loadAccountSandboxes();
-        this.organizationSandboxes = this.loadOrganizationSandboxes();
-        this.organizationAccounts = this.getOrganizationAccounts();
-        
-        // Clean up any broken organization sandboxes on startup
-        this.cleanupBrokenOrganizationSandboxes();
-        
-        this.init();
+
+// Namespaced loggers (see logger.js); silent in the console unless a log level is set
+const storageLog = window.dashboardLogger.namespace('storage');
+const syncLog = window.dashboardLogger.namespace('sync');
+const isolationLog = window.dashboardLogger.namespace('isolation');
+const renderLog = window.dashboardLogger.namespace('render');
+const sessionLog = window.dashboardLogger.namespace('session');
+const routerLog = window.dashboardLogger.namespace('router');
+const eventsLog = window.dashboardLogger.namespace('events');
+
+// Base storage adapter - every backend exposes the same promise-based API
+// so the Dashboard doesn't care whether persistence is sync or async
+class SandboxStorageAdapter {
+    async read(key) {
+        throw new Error(`${this.constructor.name} does not implement read("${key}")`);
     }
 
-    init() {
-        // Add event listeners for panel toggles
-        this.panels.forEach(panel => {
-            const toggle = panel.querySelector('.panel-toggle');
-            if (toggle) {
-                toggle.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.togglePanel(panel.id);
+    async write(key, value) {
+        throw new Error(`${this.constructor.name} does not implement write("${key}")`);
+    }
+
+    async remove(key) {
+        throw new Error(`${this.constructor.name} does not implement remove("${key}")`);
+    }
+
+    // Notify `callback(key)` when another tab changes a key. Backends without
+    // native change events rely on the Dashboard's BroadcastChannel instead.
+    subscribe(callback) {
+        return () => {};
+    }
+}
+
+// localStorage backend (default) - keeps the original storage keys
+class LocalStorageAdapter extends SandboxStorageAdapter {
+    constructor(storage = window.localStorage) {
+        super();
+        this.storage = storage;
+    }
+
+    async read(key) {
+        const stored = this.storage.getItem(key);
+        if (stored === null) return null;
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            storageLog.error(`🚨 Ignoring corrupted localStorage value for "${key}":`, error);
+            return null;
+        }
+    }
+
+    async write(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    // The storage event only fires in tabs other than the one that wrote
+    subscribe(callback) {
+        const listener = (event) => {
+            if (event.storageArea === this.storage && event.key) {
+                callback(event.key);
+            }
+        };
+        window.addEventListener('storage', listener);
+        return () => window.removeEventListener('storage', listener);
+    }
+}
+
+// In-memory backend - nothing survives a reload, handy for tests and demos
+class MemoryStorageAdapter extends SandboxStorageAdapter {
+    constructor(initialData = {}) {
+        super();
+        this.data = new Map();
+        Object.keys(initialData).forEach(key => {
+            this.data.set(key, JSON.stringify(initialData[key]));
+        });
+    }
+
+    async read(key) {
+        // Values are stored serialized so callers never share references with the store
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    async write(key, value) {
+        this.data.set(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+    }
+}
+
+// IndexedDB backend - one object store holding a record per storage key
+class IndexedDBStorageAdapter extends SandboxStorageAdapter {
+    constructor(databaseName = 'nav-experiment', storeName = 'sandboxes') {
+        super();
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.databasePromise = null;
+    }
+
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+
+    async runRequest(mode, operation) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async read(key) {
+        const value = await this.runRequest('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async write(key, value) {
+        await this.runRequest('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.runRequest('readwrite', store => store.delete(key));
+    }
+}
+
+// HTTP backend - talks to a sandbox service (or mock-sandbox-server.js) over REST:
+// GET/PUT/DELETE {baseUrl}/{key} with JSON bodies, 404 meaning "nothing stored"
+class HttpStorageAdapter extends SandboxStorageAdapter {
+    constructor(baseUrl = 'http://localhost:4000/storage') {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    urlFor(key) {
+        return `${this.baseUrl}/${encodeURIComponent(key)}`;
+    }
+
+    async read(key) {
+        const response = await fetch(this.urlFor(key));
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Storage server returned ${response.status} reading "${key}"`);
+        }
+        return response.json();
+    }
+
+    async write(key, value) {
+        const response = await fetch(this.urlFor(key), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(value)
+        });
+        if (!response.ok) {
+            throw new Error(`Storage server returned ${response.status} writing "${key}"`);
+        }
+    }
+
+    async remove(key) {
+        const response = await fetch(this.urlFor(key), { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Storage server returned ${response.status} removing "${key}"`);
+        }
+    }
+}
+
+// Resolve the `storage` option passed to `new Dashboard()` into an adapter.
+// Accepts an adapter instance or one of 'local', 'memory', 'indexeddb', 'http'.
+function createStorageAdapter(storage = 'local', options = {}) {
+    if (storage instanceof SandboxStorageAdapter) {
+        return storage;
+    }
+
+    switch (storage) {
+        case 'local':
+            return new LocalStorageAdapter();
+        case 'memory':
+            return new MemoryStorageAdapter(options.initialData);
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter(options.databaseName);
+        case 'http':
+            return new HttpStorageAdapter(options.storageUrl);
+        default:
+            throw new Error(`Unknown sandbox storage backend: "${storage}"`);
+    }
+}
+
+// Version of the persisted sandbox schema. Bump it and append a step to
+// SANDBOX_MIGRATIONS whenever the stored shape changes.
+const SANDBOX_SCHEMA_VERSION = 3;
+
+// Generic names used by early prototypes and their current equivalents.
+// Only these are renamed; names users chose themselves are left alone.
+const LEGACY_SANDBOX_NAMES = {
+    'Development': 'Development Environment',
+    'Staging': 'Staging Environment',
+    'Testing': 'QA Testing',
+    'Q3 Planning': 'Multi-Account Development'
+};
+
+// Organization keys written by older builds when the active account had no organization
+function isValidOrganizationId(organizationId) {
+    return Boolean(organizationId) && organizationId !== 'undefined' && organizationId !== 'null';
+}
+
+// Ordered migration steps. Each step upgrades the state to its `version` in place
+// and returns a list of changes ({ action, owner, sandbox, detail }) for the report.
+const SANDBOX_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Re-home sandboxes stored under invalid organization keys',
+        migrate(state, dashboard) {
+            const changes = [];
+            Object.keys(state.organizationSandboxes).forEach(orgId => {
+                if (isValidOrganizationId(orgId)) return;
+
+                (state.organizationSandboxes[orgId] || []).forEach(sandbox => {
+                    // Prefer the record's own organizationId, else match its accounts to a roster
+                    const sandboxAccountNames = (sandbox.accounts || []).map(acc => acc.name);
+                    const targetOrgId = isValidOrganizationId(sandbox.organizationId)
+                        ? sandbox.organizationId
+                        : sandboxAccountNames.map(name => dashboard.directory.getOrganizationIdForAccount(name)).find(Boolean);
+
+                    if (targetOrgId) {
+                        sandbox.organizationId = targetOrgId;
+                        state.organizationSandboxes[targetOrgId] = state.organizationSandboxes[targetOrgId] || [];
+                        state.organizationSandboxes[targetOrgId].push(sandbox);
+                        changes.push({ action: 'moved', owner: targetOrgId, sandbox: sandbox.name, detail: `from invalid key "${orgId}"` });
+                    } else {
+                        state.orphanedSandboxes.push(sandbox);
+                        changes.push({ action: 'orphaned', owner: orgId, sandbox: sandbox.name, detail: 'no organization found, kept in orphanedSandboxes' });
+                    }
+                });
+
+                delete state.organizationSandboxes[orgId];
+                changes.push({ action: 'removed-key', owner: orgId, sandbox: null, detail: 'invalid organization key' });
+            });
+            return changes;
+        }
+    },
+    {
+        version: 2,
+        description: 'Fill in missing ids and ownership fields, and fix types that differ from their collection',
+        migrate(state, dashboard) {
+            const changes = [];
+            const seenIds = new Set();
+            const timestamp = new Date().getTime();
+
+            const ensureId = (sandbox, owner, slug, index) => {
+                if (sandbox.id && !seenIds.has(sandbox.id)) {
+                    seenIds.add(sandbox.id);
+                    return;
+                }
+                const reason = sandbox.id ? `duplicate id "${sandbox.id}"` : 'missing id';
+                sandbox.id = `${slug}-migrated-${timestamp}-${index}`;
+                seenIds.add(sandbox.id);
+                changes.push({ action: 'assigned-id', owner, sandbox: sandbox.name, detail: `${reason} → "${sandbox.id}"` });
+            };
+
+            Object.keys(state.accountSandboxes).forEach(accountName => {
+                const slug = dashboard.createAccountSlug(accountName);
+                state.accountSandboxes[accountName].forEach((sandbox, index) => {
+                    if (sandbox.type && sandbox.type !== 'account') {
+                        changes.push({ action: 'set-type', owner: accountName, sandbox: sandbox.name, detail: `type "${sandbox.type}" → "account"` });
+                    }
+                    sandbox.type = 'account';
+                    if (!sandbox.account) {
+                        sandbox.account = accountName;
+                        changes.push({ action: 'set-account', owner: accountName, sandbox: sandbox.name, detail: 'missing account' });
+                    }
+                    ensureId(sandbox, accountName, slug, index);
+                });
+            });
+
+            Object.keys(state.organizationSandboxes).forEach(orgId => {
+                const slug = dashboard.createOrganizationSlug(orgId, dashboard.getOrganizationName(orgId));
+                state.organizationSandboxes[orgId].forEach((sandbox, index) => {
+                    if (sandbox.type && sandbox.type !== 'organization') {
+                        changes.push({ action: 'set-type', owner: orgId, sandbox: sandbox.name, detail: `type "${sandbox.type}" → "organization"` });
+                    }
+                    sandbox.type = 'organization';
+                    if (sandbox.organizationId !== orgId) {
+                        sandbox.organizationId = orgId;
+                        changes.push({ action: 'set-organization', owner: orgId, sandbox: sandbox.name, detail: 'organizationId did not match its key' });
+                    }
+                    if (!Array.isArray(sandbox.accounts)) {
+                        sandbox.accounts = dashboard.directory.getAccounts(orgId).map(acc => ({ ...acc }));
+                        changes.push({ action: 'set-accounts', owner: orgId, sandbox: sandbox.name, detail: `missing account roster (${sandbox.accounts.length} accounts)` });
+                    }
+                    ensureId(sandbox, orgId, slug, index);
                 });
+            });
+            return changes;
+        }
+    },
+    {
+        version: 3,
+        description: 'Rename generic prototype sandbox names to include their account or organization',
+        migrate(state, dashboard) {
+            const changes = [];
+            const renameSandbox = (sandbox, owner, ownerName) => {
+                if (!Object.prototype.hasOwnProperty.call(LEGACY_SANDBOX_NAMES, sandbox.name)) return;
+
+                const previousName = sandbox.name;
+                sandbox.name = `${ownerName} ${LEGACY_SANDBOX_NAMES[previousName]}`;
+                changes.push({ action: 'renamed', owner, sandbox: sandbox.name, detail: `was "${previousName}"` });
+            };
+
+            Object.keys(state.accountSandboxes).forEach(accountName => {
+                state.accountSandboxes[accountName].forEach(sandbox => renameSandbox(sandbox, accountName, accountName));
+            });
+            Object.keys(state.organizationSandboxes).forEach(orgId => {
+                const orgName = dashboard.getOrganizationName(orgId);
+                state.organizationSandboxes[orgId].forEach(sandbox => renameSandbox(sandbox, orgId, orgName));
+            });
+            return changes;
+        }
+    }
+];
+
+// Marker written into JSON exports so imports can recognise them
+const SANDBOX_EXPORT_FORMAT = 'nav-experiment-sandboxes';
+
+// Column order for CSV exports; `accounts` holds org sandbox account names joined by "; "
+const SANDBOX_CSV_COLUMNS = ['type', 'owner', 'id', 'name', 'description', 'account', 'organizationId', 'accounts', 'created', 'lastUsed'];
+
+// Quote a CSV cell when it contains a comma, quote or line break
+function escapeCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Keys shared between tabs. Writes to these bump a per-key revision in
+// `sandboxRevisions` so a tab holding stale data merges instead of overwriting.
+const SYNCED_STORAGE_KEYS = ['accountSandboxes', 'organizationSandboxes', 'accountSandboxTrash', 'organizationSandboxTrash', 'sandboxTemplates', 'sandboxUsage', 'sandboxAuditLog', 'sandboxPins'];
+
+// Synced keys whose records users edit by hand; a sync conflict on these shows a notice
+// that lets the user keep their own version
+const USER_EDITED_SYNCED_KEYS = ['accountSandboxes', 'organizationSandboxes', 'sandboxTemplates'];
+
+// Audit log: { 'YYYY-MM': [entry] }, bucketed by month so tabs can merge their appends.
+// Entries are never changed; only the oldest go once there are more than the maximum.
+const MAX_AUDIT_LOG_ENTRIES = 1000;
+
+// Recorded actions and how the audit log viewer labels them
+const AUDIT_LOG_ACTIONS = {
+    'sandbox.created': 'Created sandbox',
+    'sandbox.updated': 'Updated sandbox',
+    'sandbox.deleted': 'Deleted sandbox',
+    'sandbox.entered': 'Entered sandbox',
+    'sandbox.exited': 'Exited sandbox',
+    'account.switched': 'Switched account',
+    'role.changed': 'Changed role'
+};
+
+// Who changes made by the dashboard itself (scheduled cleanup, trash retention) are attributed to
+const SYSTEM_AUDIT_ACTOR = { name: 'System', role: null };
+
+const AUDIT_LOG_EXPORT_FORMAT = 'nav-experiment-audit-log';
+
+// Column order for audit log CSV exports; `before` and `after` hold JSON
+const AUDIT_LOG_CSV_COLUMNS = ['at', 'actor', 'role', 'action', 'reason', 'sandboxId', 'sandboxName', 'account', 'organizationId', 'before', 'after'];
+
+// Sandbox usage history: { sandboxId: [{ id, enteredAt, exitedAt, durationMs, account }] }.
+// Only the newest sessions of each sandbox are kept.
+const MAX_USAGE_SESSIONS_PER_SANDBOX = 500;
+
+// Column order for usage CSV exports, one completed session per row
+const USAGE_CSV_COLUMNS = ['sandboxId', 'sandboxName', 'type', 'owner', 'account', 'enteredAt', 'exitedAt', 'durationSeconds'];
+
+// Soft-deleted sandboxes live in a trash collection alongside each live collection
+const SANDBOX_TRASH_KEYS = {
+    accountSandboxes: 'accountSandboxTrash',
+    organizationSandboxes: 'organizationSandboxTrash'
+};
+
+// How long deleted sandboxes stay in the trash unless configured otherwise
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Sandboxes not entered for this many days (counting from creation if never entered)
+// are stale and get archived by the scheduled cleanup. 0 turns stale detection off.
+const DEFAULT_STALE_SANDBOX_DAYS = 90;
+
+// How often the cleanup runs, checked at startup. 0 turns automatic cleanup off.
+const DEFAULT_CLEANUP_INTERVAL_DAYS = 1;
+
+// Sandboxes expiring within this many days are flagged as expiring soon
+const EXPIRY_WARNING_DAYS = 3;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Default sandbox limits for a business account's own sandboxes, each sub-account's and
+// each organization's. null means unlimited; per-owner overrides live in the settings.
+const DEFAULT_SANDBOX_QUOTAS = { business: 10, account: 5, organization: 10 };
+
+// The sandbox popover groups its sandboxes into Pinned / Recent / All, with a search
+// field, once it lists more than this many
+const SANDBOX_POPOVER_GROUPING_THRESHOLD = 5;
+
+// How many recently entered sandboxes (not counting pinned ones) the Recent group shows
+const RECENT_SANDBOX_COUNT = 3;
+
+// Storage keys included (sanitized) in a diagnostics download
+const DIAGNOSTICS_STORAGE_KEYS = [...SYNCED_STORAGE_KEYS, 'sandboxRevisions', 'sandboxSchemaVersion', 'orphanedSandboxes', 'dashboardSettings', 'sandboxSession'];
+
+// Longest allowed full sandbox name ("<account or organization> - <name>")
+const MAX_SANDBOX_NAME_LENGTH = 80;
+
+// Buttons of a sandbox card. Dashboard.handleSandboxItemAction runs them from one
+// delegated listener, keyed by the card's data-sandbox-id.
+const SANDBOX_ITEM_ACTIONS = html`
+    <div class="sandbox-actions">
+        <button type="button" class="enter-sandbox-btn" data-action="enter">Enter</button>
+        <button type="button" class="pin-sandbox-btn" data-action="pin" aria-pressed="false">Pin</button>
+        <button type="button" class="rename-sandbox-btn" data-action="rename">Rename</button>
+        <button type="button" class="clone-sandbox-btn" data-action="clone">Clone</button>
+        <button type="button" class="delete-sandbox-btn" data-action="delete">Delete</button>
+    </div>
+`;
+
+// Events emitted through dashboard.on(event, handler). Payloads carry full sandbox records.
+const DASHBOARD_EVENTS = {
+    'account:changed': '{ account, previousAccount, organizationId }',
+    'sandbox:created': "{ sandbox, collection, owner, reason: 'create' | 'template' | 'clone' | 'import' | 'restore' }",
+    'sandbox:updated': '{ sandbox, previous, changes }',
+    'sandbox:deleted': "{ sandbox, collection, owner, permanent, reason: 'delete' | 'cleanup' | 'purge' | 'import' }",
+    'sandbox:entered': '{ sandbox, remote, restored? }',
+    'sandbox:exited': '{ sandbox, remote }',
+    'role:changed': '{ user, role, previousRole }',
+    'sandbox:pinned': '{ sandbox, pinned, user }',
+    'panel:toggled': '{ panelId, expanded }'
+};
+
+// Built-in sandbox templates. Patterns can use {owner} (account or organization name)
+// and {accountCount}; `slug` becomes part of the sandbox id. Templates marked
+// isDefault are what a new account or organization starts with.
+const BUILT_IN_SANDBOX_TEMPLATES = [
+    {
+        id: 'account-development',
+        name: 'Development',
+        scope: 'account',
+        slug: 'dev',
+        namePattern: '{owner} Development Environment',
+        description: 'Development sandbox for {owner} - safe testing environment',
+        tags: ['development'],
+        config: { seedData: 'sample', webhooks: false },
+        isDefault: true
+    },
+    {
+        id: 'account-staging',
+        name: 'Staging',
+        scope: 'account',
+        slug: 'staging',
+        namePattern: '{owner} Staging Environment',
+        description: 'Staging sandbox for {owner} - pre-production testing',
+        tags: ['staging'],
+        config: { seedData: 'production-like', webhooks: true },
+        isDefault: true
+    },
+    {
+        id: 'account-qa',
+        name: 'QA',
+        scope: 'account',
+        slug: 'qa',
+        namePattern: '{owner} QA Testing',
+        description: 'Quality assurance sandbox for {owner} - comprehensive testing',
+        tags: ['qa', 'testing'],
+        config: { seedData: 'fixtures', webhooks: true },
+        isDefault: true
+    },
+    {
+        id: 'organization-development',
+        name: 'Multi-Account Development',
+        scope: 'organization',
+        slug: 'dev',
+        namePattern: '{owner} Multi-Account Development',
+        description: 'Development environment for {owner} organization ({accountCount} accounts)',
+        tags: ['development'],
+        config: { seedData: 'sample', webhooks: false },
+        isDefault: true
+    },
+    {
+        id: 'organization-integration',
+        name: 'Cross-Account Integration',
+        scope: 'organization',
+        slug: 'integration',
+        namePattern: '{owner} Cross-Account Integration',
+        description: 'Integration testing across all {owner} accounts',
+        tags: ['integration', 'testing'],
+        config: { seedData: 'fixtures', webhooks: true },
+        isDefault: true
+    },
+    {
+        id: 'organization-production',
+        name: 'Production Rollout',
+        scope: 'organization',
+        slug: 'production',
+        namePattern: '{owner} Production Rollout',
+        description: 'Production deployment sandbox for {owner} ({accountCount} accounts)',
+        tags: ['release'],
+        config: { seedData: 'production-like', webhooks: true },
+        isDefault: true
+    },
+    {
+        id: 'organization-security',
+        name: 'Security & Compliance',
+        scope: 'organization',
+        slug: 'security',
+        namePattern: '{owner} Security & Compliance',
+        description: 'Security and compliance testing for {owner} organization',
+        tags: ['security', 'compliance'],
+        config: { seedData: 'fixtures', webhooks: false },
+        isDefault: true
+    }
+].map(template => ({ ...template, builtIn: true }));
+
+// Replace {placeholders} in a template pattern; unknown placeholders are left as-is
+function fillTemplatePattern(pattern, values) {
+    return String(pattern || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+// Compare an org sandbox's mirrored accounts with the organization's current roster.
+// Accounts are matched by name; changes the user chose to ignore are left out.
+function diffOrganizationMembership(sandboxAccounts = [], roster = [], ignored = {}) {
+    const sandboxNames = new Set(sandboxAccounts.map(account => account.name));
+    const rosterNames = new Set(roster.map(account => account.name));
+    const ignoredAdditions = new Set(ignored.added || []);
+    const ignoredRemovals = new Set(ignored.removed || []);
+    
+    return {
+        added: roster.filter(account => !sandboxNames.has(account.name) && !ignoredAdditions.has(account.name)),
+        removed: sandboxAccounts.filter(account => !rosterNames.has(account.name) && !ignoredRemovals.has(account.name))
+    };
+}
+
+// Three-way merge of { owner: [sandbox] } collections, matching sandboxes by id.
+// `base` is what this tab last read or wrote, `local` is its in-memory state and
+// `remote` is what another tab saved. When both sides changed the same sandbox the
+// remote version wins and the pair is returned in `conflicts`, so the caller can
+// offer the local one back (see Dashboard.keepLocalSyncVersions).
+function mergeSandboxCollections(base = {}, local = {}, remote = {}) {
+    const merged = {};
+    const conflicts = [];
+    const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const indexById = (sandboxes = []) => new Map(sandboxes.map(sandbox => [sandbox.id || sandbox.name, sandbox]));
+    const owners = new Set([...Object.keys(remote), ...Object.keys(local), ...Object.keys(base)]);
+
+    owners.forEach(owner => {
+        const baseById = indexById(base[owner]);
+        const localById = indexById(local[owner]);
+        const remoteById = indexById(remote[owner]);
+        const ids = [...remoteById.keys(), ...[...localById.keys()].filter(id => !remoteById.has(id))];
+        const result = [];
+
+        ids.forEach(id => {
+            const baseRecord = baseById.get(id);
+            const localRecord = localById.get(id);
+            const remoteRecord = remoteById.get(id);
+            let chosen;
+
+            if (sameRecord(baseRecord, localRecord)) {
+                chosen = remoteRecord;
+            } else if (sameRecord(baseRecord, remoteRecord) || sameRecord(localRecord, remoteRecord)) {
+                chosen = localRecord;
+            } else {
+                conflicts.push({ owner, id, local: localRecord || null, remote: remoteRecord || null });
+                // An edit beats a delete, so nobody's changes silently disappear
+                chosen = remoteRecord || localRecord;
             }
+
+            if (chosen) result.push(chosen);
         });
 
-        // Add keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeAllPanels();
+        const addedLocally = owner in local && !(owner in base);
+        if (owner in remote || addedLocally || result.length > 0) {
+            merged[owner] = result;
+        }
+    });
+
+    return { merged, conflicts };
+}
+
+// Fields holding user-entered text, which diagnostics downloads leave out
+const REDACTED_DIAGNOSTICS_FIELDS = ['name', 'description', 'namePattern'];
+
+// Deep copy of a stored value with user-entered text replaced by its length
+function sanitizeForDiagnostics(value) {
+    if (Array.isArray(value)) {
+        return value.map(sanitizeForDiagnostics);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const sanitized = {};
+    Object.keys(value).forEach(key => {
+        sanitized[key] = REDACTED_DIAGNOSTICS_FIELDS.includes(key) && typeof value[key] === 'string'
+            ? `[redacted: ${value[key].length} chars]`
+            : sanitizeForDiagnostics(value[key]);
+    });
+    return sanitized;
+}
+
+// Every string sanitizeForDiagnostics would redact in `value`
+function collectRedactedDiagnosticsText(value, found = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectRedactedDiagnosticsText(item, found));
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            if (REDACTED_DIAGNOSTICS_FIELDS.includes(key) && typeof value[key] === 'string') {
+                if (value[key].trim()) found.add(value[key]);
+            } else {
+                collectRedactedDiagnosticsText(value[key], found);
             }
         });
+    }
+    return found;
+}
 
-        // Close panels when clicking outside (disabled for dashboard.html compatibility)
-        // document.addEventListener('click', (e) => {
-        //     if (!e.target.closest('.nav-panel')) {
-        //         this.closeAllPanels();
-        //     }
-        // });
+// Function that replaces each of `texts` in a log message by its length, as written or
+// JSON-escaped (inside a logged object). Longest first, so a sandbox name goes as a whole.
+function createDiagnosticsRedactor(texts) {
+    const lengths = new Map();
+    texts.forEach(text => {
+        lengths.set(text, text.length);
+        lengths.set(JSON.stringify(text).slice(1, -1), text.length);
+    });
+    if (lengths.size === 0) return message => message;
+    
+    const alternatives = [...lengths.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<!\\w)(?:${alternatives.join('|')})(?!\\w)`, 'g');
+    return message => message.replace(pattern, match => `[redacted: ${lengths.get(match)} chars]`);
+}
 
-        // Initialize account tracking
-        this.initializeAccountTracking();
+// The sandbox this browser is working in: the active sandbox (by id), the business
+// account that was active when it was entered and, for organization sandboxes, the
+// mirrored account being viewed. It is persisted so a reload restores sandbox mode
+// instead of silently dropping the user back into live mode.
+class SandboxSession {
+    constructor(dashboard, storageKey = 'sandboxSession') {
+        this.dashboard = dashboard;
+        this.storageKey = storageKey;
+        this.state = null;
+    }
+
+    async load() {
+        const stored = await this.dashboard.storage.read(this.storageKey);
+        this.state = stored && stored.sandboxId ? stored : null;
+        return this.get();
+    }
+
+    isActive() {
+        return this.state !== null;
+    }
+
+    // A copy of the session, or null in live mode
+    get() {
+        return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+    }
+
+    start(sandbox, originalAccount = null, { save = true } = {}) {
+        this.state = {
+            sandboxId: sandbox.id,
+            sandboxType: sandbox.type,
+            originalAccount: originalAccount
+                ? { name: originalAccount.name, organizationId: originalAccount.organizationId || null }
+                : null,
+            selectedAccount: null,
+            enteredAt: new Date().toISOString()
+        };
+        return save ? this.save() : Promise.resolve();
+    }
+
+    // Mirrored account being viewed in an organization sandbox (null for all accounts)
+    selectAccount(accountName, { save = true } = {}) {
+        if (!this.state) return Promise.resolve();
         
-        // Expose debugging functions globally
-        window.debugSandboxes = () => this.debugSandboxStorage();
-        window.clearSandboxes = () => this.clearAllSandboxData();
+        this.state.selectedAccount = accountName || null;
+        return save ? this.save() : Promise.resolve();
     }
 
-    // Get organization accounts mapping
-    getOrganizationAccounts() {
-        return {
-            'acme-inc': [
-                { name: 'Acme Eats US', initials: 'AE', color: 'color-1' },
-                { name: 'Acme Eats UK', initials: 'AE', color: 'color-2' },
-                { name: 'Acme Deliveries US', initials: 'AD', color: 'color-3' },
-                { name: 'Acme Deliveries Canada', initials: 'AD', color: 'color-4' },
-                { name: 'Acme Rides US', initials: 'AR', color: 'color-5' },
-                { name: 'Acme Rides Europe', initials: 'AR', color: 'color-6' },
-                { name: 'Acme Financial Services', initials: 'AF', color: 'color-1' },
-                { name: 'Acme Technology Division', initials: 'AT', color: 'color-2' }
-            ],
-            'lil-fatsos': [
-                { name: 'Lil\'Fatsos Downtown', initials: 'LD', color: 'color-1' },
-                { name: 'Lil\'Fatsos Midtown', initials: 'LM', color: 'color-2' },
-                { name: 'Lil\'Fatsos Westside', initials: 'LW', color: 'color-3' },
-                { name: 'Lil\'Fatsos Airport', initials: 'LA', color: 'color-4' }
-            ]
+    clear({ save = true } = {}) {
+        this.state = null;
+        return save ? this.save() : Promise.resolve();
+    }
+
+    save() {
+        return this.dashboard.persist(this.storageKey, this.state);
+    }
+}
+
+// URL segment for a business, account or nav page name ("Acme, Inc." -> "acme-inc")
+function slugifyRouteSegment(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Hash-based router. The URL encodes the business account, the selected sub-account
+// (omitted for "All accounts"), the sandbox and the nav page, e.g.
+// #/acme-inc/acme-eats-uk/sandbox/<id>/transactions. Owned by Dashboard (dashboard.router).
+class DashboardRouter {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.currentHash = null;
+        this.isApplying = false;
+        this.isStarted = false;
+    }
+
+    // Apply the URL the page was opened with (or record the current state), then follow back/forward
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+        
+        const route = this.parse(window.location.hash);
+        if (route) {
+            this.apply(route);
+        } else {
+            this.update({ replace: true });
+        }
+        
+        const onLocationChange = () => {
+            if (window.location.hash === this.currentHash) return;
+            const next = this.parse(window.location.hash);
+            if (next) {
+                this.apply(next);
+            }
         };
+        window.addEventListener('popstate', onLocationChange);
+        window.addEventListener('hashchange', onLocationChange);
     }
 
-    // Initialize account tracking and sandbox management
-    initializeAccountTracking() {
+    // '#/business[/account][/sandbox/<id>][/page]' -> { business, account, sandboxId, page }, or null
+    parse(hash) {
+        const segments = String(hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        if (segments.length === 0) return null;
+        
+        const [business, ...rest] = segments;
+        const route = { business, account: null, sandboxId: null, page: null };
+        
+        // Sub-account slugs are only recognized for the business's own organization
+        const organizationId = this.getOrganizationIdForBusiness(business);
+        const accountSlugs = this.dashboard.directory.getAccounts(organizationId).map(account => slugifyRouteSegment(account.name));
+        if (rest[0] && rest[0] !== 'sandbox' && accountSlugs.includes(rest[0])) {
+            route.account = rest.shift();
+        }
+        if (rest[0] === 'sandbox') {
+            rest.shift();
+            route.sandboxId = rest.shift() || null;
+        }
+        route.page = rest.shift() || null;
+        return route;
+    }
+
+    format(route) {
+        const segments = [route.business];
+        if (route.account) segments.push(route.account);
+        if (route.sandboxId) segments.push('sandbox', route.sandboxId);
+        if (route.page) segments.push(route.page);
+        return '#/' + segments.map(encodeURIComponent).join('/');
+    }
+
+    // Route for what the page is showing right now
+    getCurrentRoute() {
         const activeAccount = document.getElementById('active-account');
-        if (activeAccount) {
-            this.currentActiveAccount = activeAccount.dataset.accountName;
-            this.updateSandboxesForAccount(this.currentActiveAccount);
+        const selectedAccount = document.querySelector('#account-popover-content .account-popover-item.account.selected');
+        const activePage = this.getNavPages().find(item => item.classList.contains('active'));
+        const session = this.dashboard.session.get();
+        
+        return {
+            business: slugifyRouteSegment(activeAccount ? activeAccount.dataset.accountName : this.dashboard.currentActiveAccount),
+            account: selectedAccount ? slugifyRouteSegment(selectedAccount.dataset.accountName) : null,
+            sandboxId: session ? session.sandboxId : null,
+            page: activePage ? slugifyRouteSegment(this.getNavPageName(activePage)) : null
+        };
+    }
+
+    // Write the current state to the URL (a new history entry unless `replace`)
+    update({ replace = false } = {}) {
+        if (this.isApplying || !this.isStarted) return;
+        
+        const hash = this.format(this.getCurrentRoute());
+        if (hash === window.location.hash) {
+            this.currentHash = hash;
+            return;
+        }
+        
+        this.currentHash = hash;
+        if (replace) {
+            window.history.replaceState(null, '', hash);
+        } else {
+            window.history.pushState(null, '', hash);
         }
+    }
 
-        // Watch for account changes
-        const accountObserver = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'attributes' && mutation.attributeName === 'data-account-name') {
-                    const newAccount = mutation.target.dataset.accountName;
-                    if (newAccount !== this.currentActiveAccount) {
-                        const previousAccount = this.currentActiveAccount;
-                        this.currentActiveAccount = newAccount;
-                        console.log('Account switched from:', previousAccount, 'to:', newAccount);
-                        
-                        // Validate sandbox isolation
-                        this.validateSandboxIsolation(previousAccount, newAccount);
-                        
-                        this.updateSandboxesForAccount(newAccount);
-                    }
+    // Drive the page into the state a route describes. Routes from the URL only normalize
+    // it; pass `push` when navigating from the UI so back returns to the previous view.
+    apply(route, { push = false } = {}) {
+        this.isApplying = true;
+        try {
+            // Business account (switching business leaves sandbox mode, like clicking it does)
+            const businessAccount = Array.from(document.querySelectorAll('.business-account'))
+                .find(element => slugifyRouteSegment(element.dataset.accountName) === route.business);
+            if (!businessAccount) {
+                routerLog.warn('⚠️ Unknown business account in URL:', route.business);
+            } else if (businessAccount.id !== 'active-account') {
+                if (this.dashboard.session.isActive()) {
+                    this.dashboard.exitSandboxMode();
                 }
-            });
+                if (typeof window.updateActiveBusinessAccount === 'function') {
+                    window.updateActiveBusinessAccount(businessAccount);
+                }
+            }
+            
+            // Sandbox. An account sandbox is entered from its live sub-account, so the account
+            // is picked first; clicking it once inside would replace the sandbox title and switcher.
+            // An org sandbox mirrors its accounts, so those are picked after entering it.
+            const session = this.dashboard.session.get();
+            const target = route.sandboxId ? this.findRoutedSandbox(route) : null;
+            const isAccountSandbox = Boolean(target) && target.collection === 'accountSandboxes';
+            const isEntering = Boolean(target) && (!session || session.sandboxId !== route.sandboxId);
+            if (isAccountSandbox && isEntering) {
+                if (session) {
+                    this.dashboard.exitSandboxMode();
+                }
+                this.selectAccount(route.account);
+            }
+            
+            if (route.sandboxId && !target) {
+                // Unknown, or another owner's: a link must not cross the isolation boundary
+                routerLog.warn('⚠️ Sandbox in URL is not one of the routed account\'s sandboxes, showing the live account:', route.sandboxId);
+                if (session) {
+                    this.dashboard.exitSandboxMode();
+                }
+                this.dashboard.showNotice("That sandbox link doesn't belong to this account, so the live account is shown.");
+            } else if (isEntering) {
+                this.dashboard.enterSandboxMode(target.sandbox);
+            } else if (!route.sandboxId && session) {
+                this.dashboard.exitSandboxMode();
+            }
+            
+            if (!isAccountSandbox) {
+                this.selectAccount(route.account);
+            }
+            this.selectPage(route.page);
+        } finally {
+            this.isApplying = false;
+        }
+        
+        // Normalize the URL (e.g. drop an unknown sandbox) without adding a history entry
+        this.currentHash = window.location.hash;
+        this.update({ replace: !push });
+    }
+
+    // Pick a sub-account (or "All accounts" for null) in the account switcher popover
+    selectAccount(accountSlug) {
+        const items = Array.from(document.querySelectorAll('#account-popover-content .account-popover-item'));
+        const item = accountSlug
+            ? items.find(candidate => candidate.classList.contains('account') && slugifyRouteSegment(candidate.dataset.accountName) === accountSlug)
+            : items.find(candidate => !candidate.classList.contains('account'));
+        if (!item || item.classList.contains('selected')) return;
+        
+        // Reuse the popover's own click handlers; the event doesn't bubble, so
+        // document-level click handlers (click outside, panel toggles) don't see it
+        item.dispatchEvent(new MouseEvent('click'));
+    }
+
+    // Mark a nav page active and show its content
+    selectPage(pageSlug) {
+        const pages = this.getNavPages();
+        const page = pages.find(item => slugifyRouteSegment(this.getNavPageName(item)) === pageSlug);
+        if (!page || page.classList.contains('active')) return;
+        
+        pages.forEach(item => item.classList.remove('active'));
+        page.classList.add('active');
+        updateMainContent(this.getNavPageName(page));
+    }
+
+    // Nav pages: the nav panel's components in dashboard.html, .nav-item elsewhere
+    getNavPages() {
+        return Array.from(document.querySelectorAll('#navPanel .nav-group .nav-component, .nav-item'));
+    }
+
+    getNavPageName(item) {
+        const text = item.querySelector('.nav-text');
+        return text ? text.textContent.trim() : '';
+    }
+
+    // The route's sandbox, looked up only in the collection of the owner the route names:
+    // the business's organization for org sandboxes, else the sub-account (or the business
+    // itself). Returns { collection, owner, sandbox } or null.
+    findRoutedSandbox(route) {
+        const business = this.dashboard.directory.getBusinesses()
+            .find(candidate => slugifyRouteSegment(candidate.name) === route.business);
+        if (!business) return null;
+        
+        const accountSlug = route.account || route.business;
+        const entry = this.dashboard.getReachableSandboxes(business.name).find(candidate =>
+            candidate.sandbox.id === route.sandboxId &&
+            (candidate.collection === 'organizationSandboxes' || slugifyRouteSegment(candidate.owner) === accountSlug));
+        return entry ? { collection: entry.collection, owner: entry.owner, sandbox: entry.sandbox } : null;
+    }
+
+    getOrganizationIdForBusiness(businessSlug) {
+        const business = this.dashboard.directory.getBusinesses()
+            .find(candidate => slugifyRouteSegment(candidate.name) === businessSlug);
+        return business ? business.organizationId || null : null;
+    }
+}
+
+class Dashboard {
+    constructor(options = {}) {
+        this.options = options;
+        this.currentOpenPanel = null;
+        this.previousNavPanelState = null;
+        this.panels = document.querySelectorAll('.nav-panel');
+        this.currentActiveAccount = null;
+        this.storage = createStorageAdapter(options.storage, options);
+        this.writeQueue = Promise.resolve();
+        this.isStorageLoaded = false;
+        // Set when loading from storage failed; nothing is saved after that (see persist)
+        this.storageLoadError = null;
+        
+        // Cross-tab sync state: revisions and data as last seen in storage
+        this.tabId = `tab-${new Date().getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.knownRevisions = {};
+        this.syncedState = {};
+        this.syncConflicts = [];
+        // Conflicts the sync conflict notice currently offers to undo
+        this.pendingSyncConflicts = [];
+        this.syncChannel = null;
+        this.accountSandboxes = {};
+        this.organizationSandboxes = {};
+        this.accountSandboxTrash = {};
+        this.organizationSandboxTrash = {};
+        this.sandboxTemplates = { account: [], organization: [] };
+        this.sandboxUsage = {};
+        this.sandboxAuditLog = {};
+        this.auditActor = null;
+        // Pinned sandboxes per user: { [user name]: [{ id, pinnedAt }] }, oldest pin first
+        this.sandboxPins = {};
+        this.popoverSandboxes = [];
+        this.popoverSearch = '';
+        this.settings = {
+            trashRetentionDays: options.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS,
+            staleSandboxDays: options.staleSandboxDays ?? DEFAULT_STALE_SANDBOX_DAYS,
+            cleanupIntervalDays: options.cleanupIntervalDays ?? DEFAULT_CLEANUP_INTERVAL_DAYS,
+            sandboxQuotas: { ...DEFAULT_SANDBOX_QUOTAS, ...(options.sandboxQuotas || {}) },
+            sandboxQuotaOverrides: { accountSandboxes: {}, organizationSandboxes: {} }
+        };
+        this.undoNoticeTimer = null;
+        this.eventListeners = new Map();
+        this.session = new SandboxSession(this);
+        this.router = new DashboardRouter(this);
+        this.directory = options.directory || window.organizationDirectory || new OrganizationDirectory(options.directoryOptions);
+        this.logger = window.dashboardLogger;
+        this.permissions = options.permissions || new SandboxPermissions(options.user);
+        
+        // Sandboxes are loaded through the storage adapter, which may be async.
+        // `dashboard.ready` resolves once they are in memory and rendered.
+        this.ready = this.loadSandboxState();
+        
+        this.init();
+    }
+
+    // Load persisted sandboxes, then run the startup tasks that depend on them
+    async loadSandboxState() {
+        // Rosters and org names come from the directory, and migrations need them
+        await this.directory.ready;
+        
+        try {
+            const [accountSandboxes, organizationSandboxes] = await Promise.all([
+                this.loadAccountSandboxes(),
+                this.loadOrganizationSandboxes()
+            ]);
+            this.accountSandboxes = accountSandboxes;
+            this.organizationSandboxes = organizationSandboxes;
+            this.accountSandboxTrash = (await this.storage.read('accountSandboxTrash')) || {};
+            this.organizationSandboxTrash = (await this.storage.read('organizationSandboxTrash')) || {};
+            this.sandboxTemplates = { account: [], organization: [], ...((await this.storage.read('sandboxTemplates')) || {}) };
+            this.sandboxUsage = (await this.storage.read('sandboxUsage')) || {};
+            this.sandboxAuditLog = (await this.storage.read('sandboxAuditLog')) || {};
+            this.sandboxPins = (await this.storage.read('sandboxPins')) || {};
+            this.settings = { ...this.settings, ...((await this.storage.read('dashboardSettings')) || {}) };
+            this.applyLogLevelSetting();
+            this.applyUserRoleSetting();
+            await this.session.load();
+            
+            const revisions = (await this.storage.read('sandboxRevisions')) || {};
+            SYNCED_STORAGE_KEYS.forEach(key => {
+                this.knownRevisions[key] = revisions[key] ? revisions[key].revision : 0;
+                this.syncedState[key] = JSON.parse(JSON.stringify(this[key]));
+            });
+        } catch (error) {
+            // Saving now would replace the stored sandboxes with defaults, so stay read-only
+            this.storageLoadError = error;
+            storageLog.error('🚨 Failed to load sandboxes from storage, nothing will be saved until a reload succeeds:', error);
+            this.showStorageErrorNotice();
+        }
+        
+        // Upgrade older stored data to the current schema (opt out with autoMigrate: false)
+        if (this.options.autoMigrate !== false && !this.storageLoadError) {
+            try {
+                await this.runMigrations();
+            } catch (error) {
+                storageLog.error('🚨 Sandbox migration failed, continuing with unmigrated data:', error);
+            }
+        }
+        // Defaults are only seeded for accounts once storage is known to have none
+        this.isStorageLoaded = !this.storageLoadError;
+        
+        // Record sandbox and account operations from here on
+        this.initializeAuditLog();
+        
+        // Pins and usage history of sandboxes deleted for good have nothing left to point at
+        this.on('sandbox:deleted', ({ sandbox, permanent }) => {
+            if (permanent) {
+                this.forgetSandboxPins(sandbox.id);
+                this.forgetSandboxUsage(sandbox.id);
+            }
+        });
+        
+        // Drop trashed sandboxes that are past the retention period
+        this.withAuditActor(SYSTEM_AUDIT_ACTOR, () => this.purgeExpiredTrash());
+        
+        // Initialize account tracking
+        this.initializeAccountTracking();
+        
+        // Archive expired and stale sandboxes if the cleanup is due
+        this.runScheduledCleanup();
+        
+        // Pick up changes made in other tabs from now on
+        this.initializeCrossTabSync();
+        
+        // Re-render (e.g. drift badges) when the organization directory is reloaded
+        this.directory.subscribe(() => this.updateSandboxesForAccount(this.currentActiveAccount));
+        
+        // Go back into the sandbox this browser was in before the page was reloaded
+        this.restoreSandboxSession();
+        
+        // A deep link wins over the restored session; from here on the URL follows the page
+        this.router.start();
+        ['account:changed', 'sandbox:entered', 'sandbox:exited'].forEach(eventName => {
+            this.on(eventName, () => this.router.update());
+        });
+        
+        return this;
+    }
+
+    // Listen for other tabs' writes (storage events and/or BroadcastChannel)
+    initializeCrossTabSync() {
+        this.storage.subscribe(key => {
+            if (key === 'sandboxRevisions') {
+                this.syncFromStorage();
+            }
+        });
+
+        if ('BroadcastChannel' in window) {
+            this.syncChannel = new BroadcastChannel('nav-experiment-sandboxes');
+            this.syncChannel.onmessage = (event) => this.handleSyncMessage(event.data);
+        }
+    }
+
+    // Post a message to the other dashboard tabs
+    broadcastSyncMessage(message) {
+        if (this.syncChannel) {
+            this.syncChannel.postMessage({ ...message, tabId: this.tabId });
+        }
+    }
+
+    // React to another tab saving sandboxes or entering/exiting sandbox mode
+    handleSyncMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        switch (message.type) {
+            case 'storage-changed':
+                this.syncFromStorage();
+                break;
+            case 'sandbox-entered':
+                syncLog.info('🔄 Another tab entered sandbox mode:', message.sandbox.name);
+                // The entering tab already saved the session; just mirror it in memory
+                this.session.start(message.sandbox, this.getActiveBusinessAccount(), { save: false });
+                if (typeof window.enterSandboxMode === 'function') {
+                    window.enterSandboxMode(message.sandbox.name, message.sandbox.type, message.sandbox.organizationId, message.sandbox.account, message.sandbox.id);
+                }
+                this.updateSandboxesForAccount(this.currentActiveAccount);
+                this.emit('sandbox:entered', { sandbox: message.sandbox, remote: true });
+                break;
+            case 'sandbox-exited':
+                syncLog.info('🔄 Another tab exited sandbox mode');
+                this.exitSandboxMode({ broadcast: false });
+                break;
+        }
+    }
+
+    // Run storage work under a cross-tab lock where the browser supports one
+    withStorageLock(task) {
+        if (navigator.locks) {
+            return navigator.locks.request('nav-experiment-sandboxes', task);
+        }
+        return task();
+    }
+
+    // Pull in keys that another tab saved since we last looked
+    syncFromStorage() {
+        this.writeQueue = this.writeQueue
+            .then(() => this.withStorageLock(async () => {
+                const revisions = (await this.storage.read('sandboxRevisions')) || {};
+                let changed = false;
+                
+                for (const key of SYNCED_STORAGE_KEYS) {
+                    const stored = revisions[key];
+                    if (stored && stored.revision > (this.knownRevisions[key] || 0)) {
+                        await this.mergeRemoteChanges(key, stored.revision);
+                        changed = true;
+                    }
+                }
+                
+                if (changed) {
+                    syncLog.info('🔄 Synced sandboxes saved in another tab');
+                    this.updateSandboxesForAccount(this.currentActiveAccount);
+                }
+            }))
+            .catch(error => syncLog.error('🚨 Failed to sync sandboxes from another tab:', error));
+        return this.writeQueue;
+    }
+
+    // Merge the stored copy of `key` into memory and record any conflicts
+    async mergeRemoteChanges(key, revision) {
+        const remote = (await this.storage.read(key)) || {};
+        const { merged, conflicts } = mergeSandboxCollections(this.syncedState[key], this[key], remote);
+        
+        this[key] = merged;
+        this.syncedState[key] = JSON.parse(JSON.stringify(remote));
+        this.knownRevisions[key] = revision;
+        
+        if (conflicts.length > 0) {
+            const detectedAt = new Date().toISOString();
+            const recorded = conflicts.map(conflict => ({ key, detectedAt, resolution: 'remote', ...conflict }));
+            this.syncConflicts.push(...recorded);
+            syncLog.warn(`⚠️  ${conflicts.length} sandbox(es) were changed in this tab and another tab at once; kept the other tab's version:`, conflicts);
+            if (USER_EDITED_SYNCED_KEYS.includes(key)) {
+                this.showSyncConflictNotice(recorded);
+            }
+        }
+        return merged;
+    }
+
+    // Put this tab's side of sync conflicts back (its edit, or its delete when it had
+    // deleted the record) and save it, so other tabs pick it up like any other change
+    keepLocalSyncVersions(conflicts) {
+        const keys = new Set();
+        conflicts.forEach(conflict => {
+            const records = this[conflict.key][conflict.owner] || [];
+            const index = records.findIndex(record => (record.id || record.name) === conflict.id);
+            if (!conflict.local) {
+                this[conflict.key][conflict.owner] = records.filter((record, i) => i !== index);
+            } else if (index === -1) {
+                this[conflict.key][conflict.owner] = [...records, conflict.local];
+            } else {
+                this[conflict.key][conflict.owner] = records.map((record, i) => i === index ? conflict.local : record);
+            }
+            conflict.resolution = 'local';
+            keys.add(conflict.key);
+        });
+        
+        keys.forEach(key => this.persist(key, this[key]));
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        syncLog.info(`🔄 Restored this tab's version of ${conflicts.length} conflicting change(s)`);
+    }
+
+    // Tell the user another tab's version replaced their edit, with a way to restore theirs
+    showSyncConflictNotice(conflicts) {
+        let notice = document.getElementById('syncConflictNotice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'syncConflictNotice';
+            notice.className = 'dashboard-toast';
+            notice.setAttribute('role', 'alert');
+            document.body.appendChild(notice);
+        }
+        
+        // Conflicts still showing from an earlier merge stay restorable
+        const pending = [...this.pendingSyncConflicts, ...conflicts];
+        this.pendingSyncConflicts = pending;
+        const close = () => {
+            this.pendingSyncConflicts = [];
+            notice.classList.remove('show');
+        };
+        
+        notice.innerHTML = '';
+        const message = document.createElement('span');
+        const names = pending.map(conflict => (conflict.local || conflict.remote || {}).name).filter(Boolean);
+        message.textContent = pending.length === 1 && names.length === 1
+            ? `"${names[0]}" was also changed in another tab, so your edit was replaced`
+            : `${pending.length} of your edits were replaced by changes from another tab`;
+        const keepButton = document.createElement('button');
+        keepButton.type = 'button';
+        keepButton.textContent = 'Keep mine';
+        keepButton.addEventListener('click', () => {
+            this.keepLocalSyncVersions(pending);
+            close();
+        });
+        const dismissButton = document.createElement('button');
+        dismissButton.type = 'button';
+        dismissButton.textContent = 'Dismiss';
+        dismissButton.addEventListener('click', close);
+        notice.appendChild(message);
+        notice.appendChild(keepButton);
+        notice.appendChild(dismissButton);
+        notice.classList.add('show');
+    }
+
+    // Save a synced key, merging first if another tab saved a newer revision
+    async writeSyncedKey(key) {
+        await this.withStorageLock(async () => {
+            const revisions = (await this.storage.read('sandboxRevisions')) || {};
+            const storedRevision = revisions[key] ? revisions[key].revision : 0;
+            
+            if (storedRevision > (this.knownRevisions[key] || 0)) {
+                syncLog.warn(`⚠️  "${key}" was saved by another tab since we loaded it, merging instead of overwriting`);
+                await this.mergeRemoteChanges(key, storedRevision);
+                this.updateSandboxesForAccount(this.currentActiveAccount);
+            }
+            
+            const value = JSON.parse(JSON.stringify(this[key]));
+            await this.storage.write(key, value);
+            revisions[key] = { revision: storedRevision + 1, tabId: this.tabId, updatedAt: new Date().toISOString() };
+            await this.storage.write('sandboxRevisions', revisions);
+            
+            this.knownRevisions[key] = storedRevision + 1;
+            this.syncedState[key] = value;
+        });
+        this.broadcastSyncMessage({ type: 'storage-changed', key });
+    }
+
+    // Subscribe to a dashboard event (see DASHBOARD_EVENTS); returns an unsubscribe function
+    on(eventName, handler) {
+        this.assertKnownEvent(eventName);
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for "${eventName}" must be a function`);
+        }
+        
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, new Set());
+        }
+        this.eventListeners.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    // Remove a handler added with on()
+    off(eventName, handler) {
+        this.assertKnownEvent(eventName);
+        const handlers = this.eventListeners.get(eventName);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // Call every handler for an event. A failing handler is logged and doesn't stop the others.
+    emit(eventName, payload = {}) {
+        this.assertKnownEvent(eventName);
+        const handlers = [...(this.eventListeners.get(eventName) || [])];
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                eventsLog.error(`🚨 "${eventName}" handler failed:`, error);
+            }
+        });
+    }
+
+    assertKnownEvent(eventName) {
+        if (!Object.prototype.hasOwnProperty.call(DASHBOARD_EVENTS, eventName)) {
+            throw new Error(`Unknown dashboard event "${eventName}". Known events: ${Object.keys(DASHBOARD_EVENTS).join(', ')}`);
+        }
+    }
+
+    init() {
+        // Add event listeners for panel toggles
+        this.panels.forEach(panel => {
+            const toggle = panel.querySelector('.panel-toggle');
+            if (toggle) {
+                toggle.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.togglePanel(panel.id);
+                });
+            }
+        });
+
+        // Add keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeAllPanels();
+            }
+        });
+
+        // Sandbox card buttons (see SANDBOX_ITEM_ACTIONS)
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.sandbox-item[data-sandbox-id] [data-action]');
+            if (button) {
+                this.handleSandboxItemAction(button.dataset.action, button.closest('.sandbox-item').dataset.sandboxId);
+            }
+        });
+
+        // Close panels when clicking outside (disabled for dashboard.html compatibility)
+        // document.addEventListener('click', (e) => {
+        //     if (!e.target.closest('.nav-panel')) {
+        //         this.closeAllPanels();
+        //     }
+        // });
+
+        // Expose debugging functions globally
+        window.debugSandboxes = () => this.debugSandboxStorage();
+        window.clearSandboxes = () => this.clearAllSandboxData();
+    }
+
+    // Get organization accounts mapping
+    getOrganizationAccounts() {
+        return this.directory.getRoster();
+    }
+
+    // Initialize account tracking and sandbox management
+    initializeAccountTracking() {
+        const activeAccount = document.getElementById('active-account');
+        if (activeAccount) {
+            this.currentActiveAccount = activeAccount.dataset.accountName;
+            this.updateSandboxesForAccount(this.currentActiveAccount);
+        }
+
+        // Watch for account changes
+        const accountObserver = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                if (mutation.type === 'attributes' && mutation.attributeName === 'data-account-name') {
+                    const newAccount = mutation.target.dataset.accountName;
+                    if (newAccount !== this.currentActiveAccount) {
+                        const previousAccount = this.currentActiveAccount;
+                        this.currentActiveAccount = newAccount;
+                        sessionLog.info('Account switched from:', previousAccount, 'to:', newAccount);
+                        
+                        // Validate sandbox isolation
+                        this.validateSandboxIsolation(previousAccount, newAccount);
+                        
+                        this.updateSandboxesForAccount(newAccount);
+                        this.emit('account:changed', {
+                            account: newAccount,
+                            previousAccount,
+                            organizationId: isValidOrganizationId(mutation.target.dataset.organization) ? mutation.target.dataset.organization : null
+                        });
+                    }
+                }
+            });
+        });
+
+        if (activeAccount) {
+            accountObserver.observe(activeAccount, {
+                attributes: true,
+                attributeFilter: ['data-account-name']
+            });
+        }
+    }
+
+    // Load account sandboxes from the storage adapter
+    async loadAccountSandboxes() {
+        const stored = await this.storage.read('accountSandboxes');
+        return stored || {};
+    }
+
+    // Load organization sandboxes from the storage adapter
+    async loadOrganizationSandboxes() {
+        const stored = await this.storage.read('organizationSandboxes');
+        return stored || {};
+    }
+
+    // Save account sandboxes through the storage adapter
+    saveAccountSandboxes() {
+        return this.persist('accountSandboxes', this.accountSandboxes);
+    }
+
+    // Save organization sandboxes through the storage adapter
+    saveOrganizationSandboxes() {
+        return this.persist('organizationSandboxes', this.organizationSandboxes);
+    }
+
+    // Queue a write so async backends apply saves in the order they were made.
+    // Synced keys write the in-memory state as it is when the write runs, since
+    // merging another tab's changes may have updated it after this call.
+    persist(key, value) {
+        if (this.storageLoadError) {
+            storageLog.warn(`⚠️  Not saving "${key}": sandboxes couldn't be loaded from storage`);
+            return this.writeQueue;
+        }
+        
+        const snapshot = JSON.parse(JSON.stringify(value));
+        this.writeQueue = this.writeQueue
+            .then(() => SYNCED_STORAGE_KEYS.includes(key)
+                ? this.writeSyncedKey(key)
+                : this.storage.write(key, snapshot))
+            .catch(error => storageLog.error(`🚨 Failed to save "${key}" to storage:`, error));
+        return this.writeQueue;
+    }
+
+    // Upgrade stored sandboxes step by step to SANDBOX_SCHEMA_VERSION.
+    // With dryRun the changes are only reported, nothing is modified or saved.
+    // Pass fromVersion to re-run the steps after it on current data; every step is
+    // safe to repeat, which is how the isolation audit's repairs are applied.
+    async runMigrations({ dryRun = false, fromVersion: requestedVersion = null } = {}) {
+        const storedVersion = await this.storage.read('sandboxSchemaVersion');
+        const hasData = Object.keys(this.accountSandboxes).length > 0 ||
+            Object.keys(this.organizationSandboxes).length > 0;
+        
+        if (requestedVersion !== null && !(Number.isInteger(requestedVersion) && requestedVersion >= 0 && requestedVersion <= SANDBOX_SCHEMA_VERSION)) {
+            throw new Error(`fromVersion must be a schema version from 0 to ${SANDBOX_SCHEMA_VERSION}, got "${requestedVersion}"`);
+        }
+        
+        // Unversioned data predates the schema version key, so every step applies
+        const fromVersion = requestedVersion !== null
+            ? requestedVersion
+            : (typeof storedVersion === 'number' ? storedVersion : (hasData ? 0 : SANDBOX_SCHEMA_VERSION));
+        const report = { dryRun, fromVersion, toVersion: SANDBOX_SCHEMA_VERSION, changes: [] };
+        
+        if (fromVersion > SANDBOX_SCHEMA_VERSION) {
+            storageLog.warn(`⚠️  Stored sandbox schema v${fromVersion} is newer than this build (v${SANDBOX_SCHEMA_VERSION}), skipping migrations`);
+            report.toVersion = fromVersion;
+            return report;
+        }
+        
+        // Work on a copy so a dry run (or a failing step) leaves live data untouched
+        const state = {
+            accountSandboxes: JSON.parse(JSON.stringify(this.accountSandboxes)),
+            organizationSandboxes: JSON.parse(JSON.stringify(this.organizationSandboxes)),
+            orphanedSandboxes: (await this.storage.read('orphanedSandboxes')) || []
+        };
+        const orphanCountBefore = state.orphanedSandboxes.length;
+        report.changes = this.applySandboxMigrations(state, fromVersion);
+        
+        if (dryRun) {
+            return report;
+        }
+        
+        if (report.changes.length > 0) {
+            this.accountSandboxes = state.accountSandboxes;
+            this.organizationSandboxes = state.organizationSandboxes;
+            this.saveAccountSandboxes();
+            this.saveOrganizationSandboxes();
+            if (state.orphanedSandboxes.length !== orphanCountBefore) {
+                this.persist('orphanedSandboxes', state.orphanedSandboxes);
+            }
+            storageLog.info(`🔧 Migrated sandbox data from schema v${fromVersion} to v${SANDBOX_SCHEMA_VERSION} (${report.changes.length} changes)`, report.changes);
+            // Migrations run while loading render afterwards; re-runs repair what's on screen
+            if (this.isStorageLoaded) {
+                this.updateSandboxesForAccount(this.currentActiveAccount);
+            }
+        }
+        
+        if (storedVersion !== SANDBOX_SCHEMA_VERSION) {
+            this.persist('sandboxSchemaVersion', SANDBOX_SCHEMA_VERSION);
+        }
+        
+        return report;
+    }
+
+    // Apply every migration newer than `fromVersion` to `state` in place and return the changes
+    applySandboxMigrations(state, fromVersion) {
+        const changes = [];
+        state.orphanedSandboxes = state.orphanedSandboxes || [];
+        SANDBOX_MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                migration.migrate(state, this).forEach(change => {
+                    changes.push({ version: migration.version, ...change });
+                });
+            });
+        return changes;
+    }
+
+    // Debug function to inspect sandbox storage
+    async debugSandboxStorage() {
+        console.log('=== SANDBOX STORAGE DEBUG ===');
+        console.log('Storage backend:', this.storage.constructor.name);
+        console.log('Current Active Account:', this.currentActiveAccount);
+        console.log('Account Sandboxes:', JSON.stringify(this.accountSandboxes, null, 2));
+        console.log('Organization Sandboxes:', JSON.stringify(this.organizationSandboxes, null, 2));
+        console.log('Stored accountSandboxes:', await this.storage.read('accountSandboxes'));
+        console.log('Stored organizationSandboxes:', await this.storage.read('organizationSandboxes'));
+        console.log('Known revisions:', this.knownRevisions, 'Sync conflicts:', this.syncConflicts);
+        console.log('=== END DEBUG ===');
+    }
+
+    // Clear all sandbox data (for debugging)
+    async clearAllSandboxData() {
+        // Synced keys are saved empty (not removed) so other tabs pick up the change
+        this.accountSandboxes = {};
+        this.organizationSandboxes = {};
+        this.accountSandboxTrash = {};
+        this.organizationSandboxTrash = {};
+        this.saveAccountSandboxes();
+        this.saveTrash();
+        await this.saveOrganizationSandboxes();
+        await this.storage.remove('orphanedSandboxes');
+        storageLog.info('All sandbox data cleared');
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+    }
+
+    // Validate that sandbox isolation is working correctly
+    validateSandboxIsolation(previousAccount, newAccount) {
+        if (!previousAccount || !newAccount) return;
+        
+        const previousSandboxes = this.accountSandboxes[previousAccount] || [];
+        const newSandboxes = this.accountSandboxes[newAccount] || [];
+        
+        isolationLog.debug('=== SANDBOX ISOLATION VALIDATION ===');
+        isolationLog.debug('Previous business account:', previousAccount, 'has', previousSandboxes.length, 'sandboxes');
+        isolationLog.debug('New business account:', newAccount, 'has', newSandboxes.length, 'sandboxes');
+        
+        // Check if sandbox arrays are different references
+        if (previousSandboxes === newSandboxes) {
+            isolationLog.error('🚨 SANDBOX ISOLATION BROKEN: Same sandbox array reference!');
+            isolationLog.error('Previous:', previousSandboxes);
+            isolationLog.error('New:', newSandboxes);
+        } else {
+            isolationLog.debug('✅ Sandbox isolation working - different array references');
+        }
+        
+        // Check for business account-specific sandbox naming
+        const previousAccountSpecific = previousSandboxes.filter(s => s.account === previousAccount);
+        const newAccountSpecific = newSandboxes.filter(s => s.account === newAccount);
+        
+        isolationLog.debug('Previous account-specific sandboxes:', previousAccountSpecific.length);
+        isolationLog.debug('New account-specific sandboxes:', newAccountSpecific.length);
+        
+        // Check if sandbox contents are improperly shared between business accounts
+        const previousNames = previousSandboxes.map(s => s.name);
+        const newNames = newSandboxes.map(s => s.name);
+        const sharedNames = previousNames.filter(name => newNames.includes(name));
+        
+        if (sharedNames.length > 0) {
+            isolationLog.warn('⚠️  Potentially shared sandbox names between business accounts:', sharedNames);
+        }
+        
+        // Validate that each business account only sees its own sandboxes
+        const invalidPreviousSandboxes = previousSandboxes.filter(s => s.account && s.account !== previousAccount);
+        const invalidNewSandboxes = newSandboxes.filter(s => s.account && s.account !== newAccount);
+        
+        if (invalidPreviousSandboxes.length > 0) {
+            isolationLog.error('🚨 BUSINESS ACCOUNT ISOLATION BROKEN: Previous account sees sandboxes from other accounts:', invalidPreviousSandboxes);
+        }
+        
+        if (invalidNewSandboxes.length > 0) {
+            isolationLog.error('🚨 BUSINESS ACCOUNT ISOLATION BROKEN: New account sees sandboxes from other accounts:', invalidNewSandboxes);
+        }
+        
+        if (invalidPreviousSandboxes.length === 0 && invalidNewSandboxes.length === 0) {
+            isolationLog.debug('✅ Business account isolation working correctly');
+        }
+        
+        isolationLog.debug('=== END VALIDATION ===');
+    }
+
+    // Check every stored account and organization for isolation problems. Returns
+    // { checkedAt, ok, summary, violations } where each violation is
+    // { code, severity: 'error' | 'warning', collection, owner, sandboxId, message, fix }.
+    // Nothing is changed; the report is meant for the UI, the console and tests.
+    auditIsolation() {
+        const violations = [];
+        const report = (severity, code, collection, owner, sandboxId, message, fix) => {
+            violations.push({ code, severity, collection, owner, sandboxId, message, fix });
+        };
+        const directoryKnown = this.directory.isLoaded && this.directory.getOrganizations().length > 0;
+        const ownersById = new Map();
+        const ownersByRecord = new Map();
+        const ownersByList = new Map();
+        let sandboxCount = 0;
+
+        const track = (collection, owner, list) => {
+            if (ownersByList.has(list)) {
+                const other = ownersByList.get(list);
+                report('error', 'shared-list', collection, owner, null,
+                    `"${owner}" and "${other.owner}" share the same sandbox list`,
+                    'Reload the page so each owner gets its own list from storage');
+            } else {
+                ownersByList.set(list, { collection, owner });
+            }
+
+            list.forEach(sandbox => {
+                sandboxCount++;
+                if (sandbox && ownersByRecord.has(sandbox)) {
+                    const other = ownersByRecord.get(sandbox);
+                    report('error', 'shared-record', collection, owner, sandbox.id || null,
+                        `The same sandbox record is listed under "${owner}" and "${other.owner}"`,
+                        'Reload the page so each owner gets its own copy from storage');
+                    // Its id is the other owner's too; that's this problem, not a second one
+                    return;
+                } else if (sandbox) {
+                    ownersByRecord.set(sandbox, { collection, owner });
+                }
+
+                if (!sandbox || typeof sandbox.id !== 'string' || !sandbox.id.trim()) {
+                    report('error', 'missing-id', collection, owner, null,
+                        `A sandbox under "${owner}" has no id`,
+                        'Run dashboard.runMigrations({ fromVersion: 1 }) to assign it one (add dryRun: true to preview)');
+                    return;
+                }
+
+                // Report each earlier owner of the id once, however many copies it holds
+                const seen = ownersById.get(sandbox.id) || new Map();
+                seen.forEach((other, ownerKey) => {
+                    if (ownerKey === `${collection}:${owner}`) {
+                        report('error', 'duplicate-id', collection, owner, sandbox.id,
+                            `Sandbox id "${sandbox.id}" is used twice under "${owner}"`,
+                            'Delete one copy, or clone it to give it a new id');
+                    } else {
+                        report('error', 'shared-id', collection, owner, sandbox.id,
+                            `Sandbox id "${sandbox.id}" is used by both "${owner}" and "${other.owner}"`,
+                            `Delete the copy that doesn't belong to "${owner}", or clone it to give it a new id`);
+                    }
+                });
+                seen.set(`${collection}:${owner}`, { collection, owner });
+                ownersById.set(sandbox.id, seen);
+            });
+        };
+
+        Object.keys(this.accountSandboxes).forEach(accountName => {
+            const sandboxes = this.accountSandboxes[accountName];
+            track('accountSandboxes', accountName, sandboxes);
+
+            if (!this.isKnownAccount(accountName)) {
+                report('warning', 'unknown-account', 'accountSandboxes', accountName, null,
+                    `"${accountName}" is not a business or sub-account in the organization directory`,
+                    'Add the account to organizations.json, or delete its sandboxes');
+            }
+
+            sandboxes.forEach(sandbox => {
+                if (sandbox && sandbox.account !== accountName) {
+                    report('error', 'wrong-owner', 'accountSandboxes', accountName, sandbox.id || null,
+                        `Sandbox belongs to "${sandbox.account}" but is stored under "${accountName}"`,
+                        `Move it to "${sandbox.account}" or delete it from "${accountName}"`);
+                }
+                if (sandbox && sandbox.type !== 'account') {
+                    report('warning', 'wrong-type', 'accountSandboxes', accountName, sandbox.id || null,
+                        `Account sandbox has type "${sandbox.type}"`,
+                        'Run dashboard.runMigrations({ fromVersion: 1 }) to set the type from its collection (add dryRun: true to preview)');
+                }
+            });
+        });
+
+        Object.keys(this.organizationSandboxes).forEach(orgId => {
+            const sandboxes = this.organizationSandboxes[orgId];
+            track('organizationSandboxes', orgId, sandboxes);
+
+            if (!isValidOrganizationId(orgId)) {
+                report('error', 'invalid-organization-key', 'organizationSandboxes', orgId, null,
+                    `${sandboxes.length} organization sandboxes are stored under the invalid key "${orgId}"`,
+                    'Run dashboard.runMigrations({ fromVersion: 0 }) to move them to their organization (add dryRun: true to preview)');
+                return;
+            }
+            if (directoryKnown && !this.directory.getOrganization(orgId)) {
+                report('warning', 'unknown-organization', 'organizationSandboxes', orgId, null,
+                    `"${orgId}" is not an organization in the organization directory`,
+                    'Add the organization to organizations.json, or delete its sandboxes');
+            }
+
+            sandboxes.forEach(sandbox => {
+                if (!sandbox) return;
+                if (sandbox.organizationId !== orgId) {
+                    report('error', 'wrong-owner', 'organizationSandboxes', orgId, sandbox.id || null,
+                        `Sandbox belongs to organization "${sandbox.organizationId}" but is stored under "${orgId}"`,
+                        `Move it to "${sandbox.organizationId}" or delete it from "${orgId}"`);
+                }
+                if (sandbox.type !== 'organization') {
+                    report('warning', 'wrong-type', 'organizationSandboxes', orgId, sandbox.id || null,
+                        `Organization sandbox has type "${sandbox.type}"`,
+                        'Run dashboard.runMigrations({ fromVersion: 1 }) to set the type from its collection (add dryRun: true to preview)');
+                }
+                if (!directoryKnown || !Array.isArray(sandbox.accounts)) return;
+
+                // Accounts from another organization are a leak; anything else is ordinary drift
+                const drift = diffOrganizationMembership(sandbox.accounts, this.directory.getAccounts(orgId), sandbox.ignoredMembershipChanges);
+                const foreign = drift.removed.filter(account => {
+                    const accountOrgId = this.directory.getOrganizationIdForAccount(account.name);
+                    return accountOrgId && accountOrgId !== orgId;
+                });
+                if (foreign.length > 0) {
+                    report('error', 'foreign-account', 'organizationSandboxes', orgId, sandbox.id || null,
+                        `Mirrors accounts of another organization: ${foreign.map(account => account.name).join(', ')}`,
+                        `Remove them with reconcileOrganizationSandbox("${sandbox.id}", { add: false, remove: true })`);
+                }
+                if (drift.added.length > 0 || drift.removed.length > foreign.length) {
+                    report('warning', 'roster-mismatch', 'organizationSandboxes', orgId, sandbox.id || null,
+                        `Accounts differ from the organization roster (${drift.added.length} joined, ${drift.removed.length - foreign.length} left)`,
+                        `Apply or ignore the changes from the "Out of sync" badge, or call reconcileOrganizationSandbox("${sandbox.id}")`);
+                }
+            });
+        });
+
+        const errors = violations.filter(violation => violation.severity === 'error').length;
+        return {
+            checkedAt: new Date().toISOString(),
+            ok: errors === 0,
+            summary: {
+                accounts: Object.keys(this.accountSandboxes).length,
+                organizations: Object.keys(this.organizationSandboxes).length,
+                sandboxes: sandboxCount,
+                errors,
+                warnings: violations.length - errors
+            },
+            violations
+        };
+    }
+
+    // Get sandboxes for a specific account
+    getSandboxesForAccount(accountName) {
+        if (!accountName) {
+            isolationLog.error('🚨 getSandboxesForAccount called with empty accountName');
+            return [];
+        }
+        
+        isolationLog.debug(`🔍 Getting sandboxes for account: "${accountName}"`);
+        
+        // Don't seed defaults before storage has loaded - the save would clobber stored data
+        if (!this.isStorageLoaded) {
+            return this.accountSandboxes[accountName] || [];
+        }
+        
+        if (!this.accountSandboxes[accountName]) {
+            isolationLog.debug(`📦 No existing sandboxes found for "${accountName}", creating defaults...`);
+            // Initialize with default sandboxes for new accounts
+            this.accountSandboxes[accountName] = this.getDefaultSandboxes(accountName);
+            this.saveAccountSandboxes();
+            isolationLog.debug(`✅ Created ${this.accountSandboxes[accountName].length} default sandboxes for "${accountName}"`);
+        }
+        
+        const sandboxes = this.accountSandboxes[accountName];
+        isolationLog.debug(`📦 Returning ${sandboxes.length} sandboxes for "${accountName}"`);
+        return sandboxes;
+    }
+
+    // Get organization sandboxes for a specific organization
+    getOrganizationSandboxesForOrganization(organizationId) {
+        if (!organizationId || organizationId === 'undefined' || organizationId === 'null') {
+            isolationLog.error('🚨 getOrganizationSandboxesForOrganization called with invalid organizationId:', organizationId);
+            return []; // Return empty array for invalid org IDs
+        }
+        
+        isolationLog.debug(`🔍 Getting organization sandboxes for organization: "${organizationId}"`);
+        
+        if (!this.isStorageLoaded) {
+            return this.organizationSandboxes[organizationId] || [];
+        }
+        
+        if (!this.organizationSandboxes[organizationId]) {
+            isolationLog.debug(`📦 No existing organization sandboxes found for "${organizationId}", creating defaults...`);
+            // Initialize with default organization sandboxes
+            this.organizationSandboxes[organizationId] = this.getDefaultOrganizationSandboxes(organizationId);
+            this.saveOrganizationSandboxes();
+            isolationLog.debug(`✅ Created organization sandboxes for "${organizationId}"`);
+        }
+        
+        const sandboxes = this.organizationSandboxes[organizationId];
+        isolationLog.debug(`📦 Returning ${sandboxes.length} organization sandboxes for "${organizationId}"`);
+        return sandboxes;
+    }
+
+    // Get default sandboxes for an account
+    getDefaultSandboxes(accountName) {
+        // Create unique sandbox names with timestamp to ensure distinctness
+        const timestamp = new Date().getTime();
+        
+        return this.getSandboxTemplates('account')
+            .filter(template => template.isDefault)
+            .map(template => this.buildSandboxFromTemplate(template, { account: accountName }, timestamp));
+    }
+
+    // Helper method to create clean account slug for IDs
+    createAccountSlug(accountName) {
+        if (!accountName) {
+            isolationLog.error('🚨 Cannot create slug from empty account name');
+            return 'unknown-account';
+        }
+        
+        const slug = accountName
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-') // Replace non-alphanumeric with hyphens
+            .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
+            .substring(0, 20); // Limit length
+            
+        isolationLog.debug(`🔧 Created slug for "${accountName}": "${slug}"`);
+        return slug || 'account'; // Fallback if slug becomes empty
+    }
+
+    // Get default organization sandboxes for an organization
+    getDefaultOrganizationSandboxes(organizationId) {
+        if (!organizationId || organizationId === 'undefined') {
+            isolationLog.error('🚨 Cannot create organization sandboxes without valid organizationId:', organizationId);
+            return [];
+        }
+        
+        const timestamp = new Date().getTime();
+        
+        return this.getSandboxTemplates('organization')
+            .filter(template => template.isDefault)
+            .map(template => this.buildSandboxFromTemplate(template, { organizationId }, timestamp));
+    }
+
+    // Helper method to create clean organization slug for IDs
+    createOrganizationSlug(organizationId, orgName) {
+        // Prefer organization ID if it's clean, otherwise use name
+        if (organizationId && organizationId.match(/^[a-z0-9-]+$/)) {
+            return organizationId.substring(0, 15);
+        }
+        
+        return orgName
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-') // Replace non-alphanumeric with hyphens
+            .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
+            .substring(0, 15); // Shorter limit for org slugs
+    }
+
+    // Helper method to get display name for organization
+    getOrganizationDisplayName(organizationId) {
+        return this.directory.getOrganizationName(organizationId);
+    }
+
+    // Get organization name from ID
+    getOrganizationName(organizationId) {
+        return this.directory.getOrganizationName(organizationId);
+    }
+
+    // Update sandboxes display for current account
+    updateSandboxesForAccount(accountName) {
+        renderLog.debug('🔄 updateSandboxesForAccount:', accountName, 'current:', this.currentActiveAccount);
+        
+        const container = document.getElementById('sandbox-list');
+        
+        if (container) {
+            // Clear existing items in main container
+            container.innerHTML = '';
+        }
+
+        // Check if current account belongs to an organization
+        const activeAccountElement = document.getElementById('active-account');
+        const organizationId = activeAccountElement ? activeAccountElement.dataset.organization : null;
+        const actualActiveAccountName = activeAccountElement ? activeAccountElement.dataset.accountName : null;
+        
+        // Validate account name consistency
+        if (accountName !== actualActiveAccountName) {
+            renderLog.warn('⚠️  Account name mismatch! Parameter:', accountName, 'vs DOM:', actualActiveAccountName);
+        }
+        
+        // Check if we're in sandbox mode
+        const isInSandboxMode = typeof window !== 'undefined' && window.isInSandboxMode;
+        const originalBusinessAccountName = typeof window !== 'undefined' ? window.originalBusinessAccountName : null;
+        const originalBusinessAccountOrganization = typeof window !== 'undefined' ? window.originalBusinessAccountOrganization : null;
+        
+        let sandboxesToShow = [];
+        let quotaTarget = null;
+        
+        if (isInSandboxMode && originalBusinessAccountName) {
+            // In sandbox mode - always use the original business account to determine available sandboxes
+            // Don't let account switcher changes affect which sandboxes are available
+            if (originalBusinessAccountOrganization) {
+                // Original business account was part of an organization - show organization sandboxes
+                sandboxesToShow = this.getOrganizationSandboxesForOrganization(originalBusinessAccountOrganization);
+                quotaTarget = ['organizationSandboxes', originalBusinessAccountOrganization];
+                renderLog.debug('📦 SANDBOX MODE: Showing organization sandboxes for original business account organization:', originalBusinessAccountOrganization);
+            } else {
+                // Original business account was standalone - show account sandboxes
+                sandboxesToShow = this.getSandboxesForAccount(originalBusinessAccountName);
+                quotaTarget = ['accountSandboxes', originalBusinessAccountName];
+                renderLog.debug('📦 SANDBOX MODE: Showing account sandboxes for original business account:', originalBusinessAccountName);
+            }
+        } else {
+            // Not in sandbox mode - use CURRENT business account to determine sandboxes
+            // This is the critical path for business account isolation
+            const scope = this.getSandboxScope(accountName);
+            sandboxesToShow = scope.organizationId
+                ? this.getOrganizationSandboxesForOrganization(scope.organizationId)
+                : this.getSandboxesForAccount(scope.account);
+            quotaTarget = scope.organizationId ? ['organizationSandboxes', scope.organizationId] : ['accountSandboxes', scope.account];
+        }
+        
+        // Populate main container
+        if (container) {
+            sandboxesToShow.forEach((sandbox, index) => {
+                const sandboxItem = this.createSandboxItem(sandbox, index);
+                container.appendChild(sandboxItem);
+            });
+            
+            // Update animation delays
+            this.updateAnimationDelays(container);
+        }
+        
+        // Populate sandbox popover
+        this.renderSandboxPopover(sandboxesToShow);
+        
+        // How many more sandboxes the account/org in view can have
+        const quotaSlot = document.getElementById('sandboxQuotaMeter');
+        if (quotaSlot) {
+            quotaSlot.innerHTML = '';
+            if (quotaTarget && quotaTarget[1]) {
+                quotaSlot.appendChild(this.createSandboxQuotaMeter(this.getSandboxQuota(...quotaTarget)));
+            }
+        }
+        
+        // Runs on every render, so only counts and ids: whole records would be formatted each time
+        const logContext = isInSandboxMode ? 'Sandbox Mode' : 
+                          (organizationId ? 'Organization' : 'Account');
+        renderLog.debug(`📦 Rendered ${sandboxesToShow.length} sandboxes for ${quotaTarget ? quotaTarget[1] : accountName} (${logContext}):`, sandboxesToShow.map(s => s.id).join(', '));
+    }
+
+    // Work out whose sandboxes are in view outside sandbox mode: the organization
+    // when viewing "All accounts", otherwise the selected sub-account or business account.
+    // Returns { organizationId } or { account }.
+    getSandboxScope(accountName = this.currentActiveAccount) {
+        const activeAccountElement = document.getElementById('active-account');
+        const organizationId = activeAccountElement ? activeAccountElement.dataset.organization : null;
+        
+        if (organizationId && organizationId !== 'undefined' && organizationId !== 'null') {
+            // Business account is part of a VALID organization
+            const accountSwitcherText = document.getElementById('accountSwitcherText');
+            const isViewingAllAccounts = accountSwitcherText && accountSwitcherText.textContent === 'All accounts';
+            
+            if (isViewingAllAccounts) {
+                // Show organization sandboxes when viewing "All accounts"
+                renderLog.debug('📦 Showing organization sandboxes for business account organization:', organizationId);
+                return { organizationId };
+            } else if (accountSwitcherText) {
+                // Show account sandboxes for the specific selected sub-account
+                const specificAccountName = accountSwitcherText.textContent.replace(' (sandbox)', '');
+                renderLog.debug('📦 Showing account sandboxes for selected sub-account:', specificAccountName);
+                return { account: specificAccountName };
+            }
+            
+            // Fallback: show account sandboxes for the business account
+            renderLog.debug('📦 Showing account sandboxes for business account (fallback):', accountName);
+            return { account: accountName };
+        }
+        
+        // Business account is standalone - always show its account sandboxes
+        // This is the most important case for business account isolation
+        renderLog.debug('📦 Showing account sandboxes for standalone business account:', accountName);
+        return { account: accountName };
+    }
+
+    // Create a sandbox item element for the main list
+    createSandboxItem(sandbox, index) {
+        const item = document.createElement('div');
+        item.className = `sandbox-item ${sandbox.type}`;
+        item.style.animationDelay = `${index * 0.1}s`;
+        item.setAttribute('data-sandbox-id', sandbox.id);
+
+        // Get the parent business account color for this sandbox
+        const businessAccountColor = this.getSandboxColor(sandbox);
+        const colorHexMap = {
+            'color-1': '#8B5CF6', // purple
+            'color-2': '#EF4444', // red
+            'color-3': '#10B981', // green
+            'color-4': '#F59E0B', // amber
+            'color-5': '#3B82F6', // blue
+            'color-6': '#EC4899'  // pink
+        };
+        const hexColor = colorHexMap[businessAccountColor] || '#8B5CF6';
+
+        // Different display for organization vs account sandboxes
+        if (sandbox.type === 'organization') {
+            const accountCount = sandbox.accounts ? sandbox.accounts.length : 0;
+            setHtml(item, html`
+                <div class="sandbox-header">
+                    <div class="sandbox-icon organization-icon" style="background-color: ${hexColor}20; border: 1px solid ${hexColor}40;">
+                        <svg viewBox="0 0 16 16" width="16" height="16">
+                            <path fill-rule="evenodd" clip-rule="evenodd" d="M0 2.75C0 1.23122 1.23122 0 2.75 0H8C9.51878 0 10.75 1.23122 10.75 2.75V3C10.75 3.41421 10.4142 3.75 10 3.75C9.58579 3.75 9.25 3.41421 9.25 3V2.75C9.25 2.05964 8.69036 1.5 8 1.5H2.75C2.05964 1.5 1.5 2.05964 1.5 2.75V14.25C1.5 14.3881 1.61193 14.5 1.75 14.5H4.25C4.66421 14.5 5 14.8358 5 15.25C5 15.6642 4.66421 16 4.25 16H1.75C0.783502 16 0 15.2165 0 14.25V2.75ZM10.8525 5.864C11.0957 5.712 11.4043 5.712 11.6475 5.864L15.6475 8.364C15.8668 8.50105 16 8.74141 16 9V14.25C16 15.2165 15.2165 16 14.25 16H8.25C7.2835 16 6.5 15.2165 6.5 14.25V9C6.5 8.74141 6.63321 8.50105 6.8525 8.364L10.8525 5.864ZM8 9.41569V14.25C8 14.3881 8.11193 14.5 8.25 14.5H10.5V13C10.5 12.5858 10.8358 12.25 11.25 12.25C11.6642 12.25 12 12.5858 12 13V14.5H14.25C14.3881 14.5 14.5 14.3881 14.5 14.25V9.41569L11.25 7.38444L8 9.41569Z" fill="${hexColor}"/>
+                            <path d="M3 4.5C3 3.94772 3.44772 3.5 4 3.5C4.55228 3.5 5 3.94772 5 4.5C5 5.05228 4.55228 5.5 4 5.5C3.44772 5.5 3 5.05228 3 4.5Z" fill="${hexColor}"/>
+                            <path d="M3 8C3 7.44772 3.44772 7 4 7C4.55228 7 5 7.44772 5 8C5 8.55228 4.55228 9 4 9C3.44772 9 3 8.55228 3 8Z" fill="${hexColor}"/>
+                            <path d="M6 4.5C6 3.94772 6.44772 3.5 7 3.5C7.55228 3.5 8 3.94772 8 4.5C8 5.05228 7.55228 5.5 7 5.5C6.44772 5.5 6 5.05228 6 4.5Z" fill="${hexColor}"/>
+                            <path d="M3 11.5C3 10.9477 3.44772 10.5 4 10.5C4.55228 10.5 5 10.9477 5 11.5C5 12.0523 4.55228 12.5 4 12.5C3.44772 12.5 3 12.0523 3 11.5Z" fill="${hexColor}"/>
+                        </svg>
+                    </div>
+                    <div class="sandbox-info">
+                        <div class="sandbox-name">${sandbox.name}</div>
+                        <div class="sandbox-meta">Organization • ${accountCount} accounts</div>
+                    </div>
+                </div>
+                <div class="sandbox-accounts">
+                    ${(sandbox.accounts || []).slice(0, 3).map(acc => html`
+                        <div class="mini-account-avatar ${acc.color}" title="${acc.name}">${acc.initials}</div>
+                    `)}
+                    ${accountCount > 3 && html`<div class="account-count">+${accountCount - 3}</div>`}
+                </div>
+                ${SANDBOX_ITEM_ACTIONS}
+            `);
+        } else {
+            setHtml(item, html`
+                <div class="sandbox-header">
+                    <div class="sandbox-icon account-icon" style="background-color: ${hexColor}20; border: 1px solid ${hexColor}40;">
+                        <svg viewBox="0 0 24 24" width="16" height="16">
+                            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" fill="none" stroke="${hexColor}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            <circle cx="12" cy="7" r="4" fill="none" stroke="${hexColor}" stroke-width="2"/>
+                        </svg>
+                    </div>
+                    <div class="sandbox-info">
+                        <div class="sandbox-name">${sandbox.name}</div>
+                        <div class="sandbox-meta">Account sandbox</div>
+                    </div>
+                </div>
+                ${SANDBOX_ITEM_ACTIONS}
+            `);
+        }
+        
+        const driftBadge = this.createMembershipDriftBadge(sandbox);
+        if (driftBadge) {
+            item.querySelector('.sandbox-info').appendChild(driftBadge);
+        }
+        const expiryBadge = this.createSandboxExpiryBadge(sandbox);
+        if (expiryBadge) {
+            item.querySelector('.sandbox-info').appendChild(expiryBadge);
+        }
+        
+        // Actions the user's role doesn't allow stay visible but disabled, with the reason as tooltip
+        const scope = sandbox.type === 'organization' ? 'organization' : 'account';
+        [['enter', 'enter'], ['rename', 'edit'], ['clone', 'create'], ['delete', 'delete']].forEach(([action, permission]) => {
+            const reason = this.permissions.getDeniedReason(permission, scope);
+            const button = item.querySelector(`[data-action="${action}"]`);
+            if (reason && button) {
+                button.disabled = true;
+                button.title = reason;
+            }
+        });
+        
+        const pinned = this.isSandboxPinned(sandbox.id);
+        const pinButton = item.querySelector('[data-action="pin"]');
+        pinButton.textContent = pinned ? 'Unpin' : 'Pin';
+        pinButton.setAttribute('aria-pressed', String(pinned));
+
+        return item;
+    }
+
+    // Get the color of a business account or sub-account by name
+    getBusinessAccountColor(accountName) {
+        return this.directory.getAccountColor(accountName);
+    }
+    
+    // Get the main business account color for an organization
+    getOrganizationBusinessAccountColor(organizationId) {
+        return this.directory.getOrganizationColor(organizationId);
+    }
+    
+    // Get the appropriate color for a sandbox based on its parent business account
+    getSandboxColor(sandbox) {
+        if (sandbox.type === 'organization') {
+            // For organization sandboxes, use the main business account color for that organization
+            return this.getOrganizationBusinessAccountColor(sandbox.organizationId);
+        } else {
+            // For account sandboxes, use the color of the account they belong to
+            return this.getBusinessAccountColor(sandbox.account);
+        }
+    }
+
+    // Roster changes an org sandbox hasn't picked up yet: { added, removed, inSync }
+    getMembershipDrift(sandboxId) {
+        const found = this.findSandbox(sandboxId);
+        if (!found || found.collection !== 'organizationSandboxes') {
+            return null;
+        }
+        
+        const roster = this.directory.getAccounts(found.owner);
+        const drift = diffOrganizationMembership(found.sandbox.accounts, roster, found.sandbox.ignoredMembershipChanges);
+        return { ...drift, inSync: drift.added.length === 0 && drift.removed.length === 0 };
+    }
+
+    // Every org sandbox (optionally of one organization) whose accounts differ from the roster
+    findMembershipDrift(organizationId = null) {
+        const organizationIds = organizationId ? [organizationId] : Object.keys(this.organizationSandboxes);
+        const drifted = [];
+        
+        organizationIds.forEach(orgId => {
+            (this.organizationSandboxes[orgId] || []).forEach(sandbox => {
+                const drift = this.getMembershipDrift(sandbox.id);
+                if (drift && !drift.inSync) {
+                    drifted.push({ sandbox, ...drift });
+                }
+            });
+        });
+        
+        return drifted;
+    }
+
+    // Apply roster changes to an org sandbox. `add` and `remove` are lists of account
+    // names, or true for all pending ones. Returns the updated sandbox.
+    reconcileOrganizationSandbox(sandboxId, { add = true, remove = true } = {}) {
+        const drift = this.getMembershipDrift(sandboxId);
+        if (!drift) {
+            throw new Error(`No organization sandbox with id "${sandboxId}"`);
+        }
+        this.assertPermission('edit', 'organization');
+        
+        const pick = (accounts, names) => accounts.filter(account => names === true || (names || []).includes(account.name));
+        const additions = pick(drift.added, add);
+        const removals = new Set(pick(drift.removed, remove).map(account => account.name));
+        const { sandbox } = this.findSandbox(sandboxId);
+        const ignored = sandbox.ignoredMembershipChanges || {};
+        
+        const accounts = [
+            ...sandbox.accounts.filter(account => !removals.has(account.name)),
+            ...additions.map(account => ({ ...account }))
+        ];
+        
+        isolationLog.info(`🔄 Reconciled "${sandbox.name}": +${additions.length} / -${removals.size} accounts`);
+        return this.updateSandbox(sandboxId, {
+            accounts,
+            ignoredMembershipChanges: {
+                added: (ignored.added || []).filter(name => !additions.some(account => account.name === name)),
+                removed: (ignored.removed || []).filter(name => !removals.has(name))
+            }
+        });
+    }
+
+    // Stop flagging specific roster changes for an org sandbox. `add` and `remove` are
+    // lists of account names, or true for all pending ones.
+    ignoreMembershipDrift(sandboxId, { add = true, remove = true } = {}) {
+        const drift = this.getMembershipDrift(sandboxId);
+        if (!drift) {
+            throw new Error(`No organization sandbox with id "${sandboxId}"`);
+        }
+        this.assertPermission('edit', 'organization');
+        
+        const pickNames = (accounts, names) => accounts
+            .filter(account => names === true || (names || []).includes(account.name))
+            .map(account => account.name);
+        const { sandbox } = this.findSandbox(sandboxId);
+        const ignored = sandbox.ignoredMembershipChanges || {};
+        
+        return this.updateSandbox(sandboxId, {
+            ignoredMembershipChanges: {
+                added: [...new Set([...(ignored.added || []), ...pickNames(drift.added, add)])],
+                removed: [...new Set([...(ignored.removed || []), ...pickNames(drift.removed, remove)])]
+            }
+        });
+    }
+
+    // "Out of sync" badge for org sandboxes that missed roster changes (null when in sync)
+    createMembershipDriftBadge(sandbox) {
+        if (sandbox.type !== 'organization') return null;
+        
+        const drift = this.getMembershipDrift(sandbox.id);
+        if (!drift || drift.inSync) return null;
+        
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'sandbox-drift-badge';
+        badge.textContent = 'Out of sync';
+        badge.title = `${drift.added.length} account(s) added and ${drift.removed.length} removed since this sandbox was created`;
+        badge.addEventListener('click', (event) => {
+            // Don't enter the sandbox when reviewing its roster
+            event.stopPropagation();
+            if (typeof window.openMembershipDriftDialog === 'function') {
+                window.openMembershipDriftDialog(sandbox.id);
+            }
+        });
+        return badge;
+    }
+
+    // "Expired" / "Expires in 2 days" / "Unused 120 days" badge, or null for active sandboxes
+    createSandboxExpiryBadge(sandbox) {
+        const expiry = this.getSandboxExpiry(sandbox);
+        if (expiry.status === 'active') return null;
+        
+        const badge = document.createElement('span');
+        badge.className = `sandbox-expiry-badge ${expiry.status}`;
+        if (expiry.status === 'expired') {
+            badge.textContent = 'Expired';
+            badge.title = `Expired on ${new Date(expiry.expiresAt).toLocaleDateString()}; it will be moved to the trash by the next cleanup`;
+        } else if (expiry.status === 'stale') {
+            badge.textContent = `Unused ${expiry.inactiveDays} days`;
+            badge.title = `Not entered since ${new Date(expiry.lastActivityAt).toLocaleDateString()}; it will be moved to the trash by the next cleanup`;
+        } else {
+            badge.textContent = expiry.daysLeft <= 1 ? 'Expires in 1 day' : `Expires in ${expiry.daysLeft} days`;
+            badge.title = `Expires on ${new Date(expiry.expiresAt).toLocaleDateString()}`;
+        }
+        return badge;
+    }
+
+    // Create a sandbox item element for the popover
+    createSandboxPopoverItem(sandbox, index) {
+        const sandboxItem = document.createElement('div');
+        sandboxItem.className = 'sandbox-popover-item';
+        sandboxItem.setAttribute('data-sandbox-id', sandbox.id);
+        sandboxItem.setAttribute('data-sandbox-type', sandbox.type);
+        sandboxItem.setAttribute('data-organization', sandbox.organizationId || '');
+        sandboxItem.setAttribute('data-account', sandbox.account || '');
+        
+        // Generate initials from sandbox name
+        const initials = sandbox.name.split(' ').map(word => word[0]).join('').substring(0, 2).toUpperCase();
+        
+        // Use parent business account color instead of generic colors
+        const colorClass = this.getSandboxColor(sandbox);
+        
+        setHtml(sandboxItem, html`
+            <div class="icon">
+                <div class="accountAvatar ${colorClass}">${initials}</div>
+            </div>
+            <span>${sandbox.name}</span>
+        `);
+        
+        const driftBadge = this.createMembershipDriftBadge(sandbox);
+        if (driftBadge) {
+            sandboxItem.appendChild(driftBadge);
+        }
+        const expiryBadge = this.createSandboxExpiryBadge(sandbox);
+        if (expiryBadge) {
+            sandboxItem.appendChild(expiryBadge);
+        }
+        
+        const enterDenied = this.permissions.getDeniedReason('enter', sandbox.type === 'organization' ? 'organization' : 'account');
+        if (enterDenied) {
+            sandboxItem.classList.add('disabled');
+            sandboxItem.setAttribute('aria-disabled', 'true');
+            sandboxItem.title = enterDenied;
+        }
+        
+        // Pins are personal, so the toggle stays usable when entering isn't allowed
+        const pinned = this.isSandboxPinned(sandbox.id);
+        const pinButton = document.createElement('button');
+        pinButton.type = 'button';
+        pinButton.className = `sandbox-pin-btn${pinned ? ' pinned' : ''}`;
+        pinButton.tabIndex = -1;
+        pinButton.textContent = pinned ? '★' : '☆';
+        pinButton.title = pinned ? 'Unpin' : 'Pin';
+        pinButton.setAttribute('aria-pressed', String(pinned));
+        pinButton.setAttribute('aria-label', `${pinned ? 'Unpin' : 'Pin'} ${sandbox.name}`);
+        sandboxItem.appendChild(pinButton);
+
+        // Clicks are handled by the delegated popover handler in dashboard.html (keyed by data-sandbox-id)
+        return sandboxItem;
+    }
+
+    // Fill the sandbox popover with `sandboxes` (pinned first, then recently entered),
+    // grouped and filtered by the popover search once there are more than a handful
+    renderSandboxPopover(sandboxes = this.popoverSandboxes) {
+        this.popoverSandboxes = sandboxes;
+        const popoverContent = document.getElementById('sandbox-popover-content');
+        if (!popoverContent) return;
+        
+        // Clear the sandbox items and group labels (keep search, create and manage items)
+        popoverContent.querySelectorAll('.sandbox-popover-item[data-sandbox-id], .sandbox-popover-section-label, .sandbox-popover-empty')
+            .forEach(element => element.remove());
+        
+        const { grouped, sections } = this.groupSandboxesForPopover(sandboxes, this.popoverSearch);
+        const search = document.getElementById('sandboxPopoverSearch');
+        if (search) {
+            search.style.display = grouped ? '' : 'none';
+            search.querySelector('input').style.display = grouped ? '' : 'none';
+        }
+        
+        // Everything goes in before the divider (if it exists)
+        const dividerContainer = popoverContent.querySelector('.sandbox-popover-divider-container');
+        const insert = element => popoverContent.insertBefore(element, dividerContainer);
+        let index = 0;
+        sections.forEach(section => {
+            if (grouped) {
+                const label = document.createElement('div');
+                label.className = 'sandbox-popover-section-label';
+                label.setAttribute('role', 'presentation');
+                label.textContent = section.label;
+                insert(label);
+            }
+            section.sandboxes.forEach(sandbox => insert(this.createSandboxPopoverItem(sandbox, index++)));
+        });
+        
+        if (grouped && index === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'sandbox-popover-empty';
+            empty.setAttribute('role', 'presentation');
+            empty.textContent = `No sandboxes match "${this.popoverSearch.trim()}"`;
+            insert(empty);
+        }
+        
+        // Update animation delays for popover
+        this.updatePopoverAnimationDelays(popoverContent);
+    }
+
+    // Re-render the popover with only the sandboxes whose name contains `search`
+    filterSandboxPopover(search) {
+        this.popoverSearch = search || '';
+        this.renderSandboxPopover();
+    }
+
+    // Order sandboxes for the popover: { grouped, sections: [{ id, label, sandboxes }] }.
+    // Up to SANDBOX_POPOVER_GROUPING_THRESHOLD they form one list, pinned first and then
+    // most recently entered. Past it they are split into Pinned, Recent (the last
+    // RECENT_SANDBOX_COUNT entered) and All (the rest, by name), filtered by `search`.
+    groupSandboxesForPopover(sandboxes, search = '') {
+        const pinnedIds = this.getPinnedSandboxIds();
+        const pinned = pinnedIds.map(id => sandboxes.find(sandbox => sandbox.id === id)).filter(Boolean);
+        const unpinned = sandboxes.filter(sandbox => !pinnedIds.includes(sandbox.id));
+        // Stable sort, so never-entered sandboxes keep their stored order
+        const byLastUsed = (a, b) => (Date.parse(b.lastUsed) || 0) - (Date.parse(a.lastUsed) || 0);
+        
+        if (sandboxes.length <= SANDBOX_POPOVER_GROUPING_THRESHOLD) {
+            return { grouped: false, sections: [{ id: 'all', label: null, sandboxes: [...pinned, ...unpinned.sort(byLastUsed)] }] };
+        }
+        
+        const recent = unpinned.filter(sandbox => Date.parse(sandbox.lastUsed)).sort(byLastUsed).slice(0, RECENT_SANDBOX_COUNT);
+        const rest = unpinned.filter(sandbox => !recent.includes(sandbox)).sort((a, b) => a.name.localeCompare(b.name));
+        const query = search.trim().toLowerCase();
+        const matches = sandbox => sandbox.name.toLowerCase().includes(query);
+        
+        const sections = [
+            { id: 'pinned', label: 'Pinned', sandboxes: pinned },
+            { id: 'recent', label: 'Recent', sandboxes: recent },
+            { id: 'all', label: 'All', sandboxes: rest }
+        ].map(section => ({ ...section, sandboxes: section.sandboxes.filter(matches) }));
+        return { grouped: true, sections: sections.filter(section => section.sandboxes.length > 0) };
+    }
+
+    // Ids of the sandboxes a user pinned, oldest pin first
+    getPinnedSandboxIds(userName = this.permissions.user.name) {
+        return (this.sandboxPins[userName] || []).map(pin => pin.id);
+    }
+
+    isSandboxPinned(sandboxId, userName = this.permissions.user.name) {
+        return this.getPinnedSandboxIds(userName).includes(sandboxId);
+    }
+
+    // Pin or unpin a sandbox for the signed-in user. Pins stay while a sandbox is in the
+    // trash, so restoring it brings the pin back. Returns whether anything changed.
+    setSandboxPinned(sandboxId, pinned = true) {
+        const found = this.findSandbox(sandboxId);
+        if (!found) {
+            throw new Error(`No sandbox with id "${sandboxId}"`);
+        }
+        
+        const user = this.permissions.user.name;
+        if (this.isSandboxPinned(sandboxId, user) === pinned) {
+            return false;
+        }
+        
+        const pins = (this.sandboxPins[user] || []).filter(pin => pin.id !== sandboxId);
+        this.sandboxPins[user] = pinned ? [...pins, { id: sandboxId, pinnedAt: new Date().toISOString() }] : pins;
+        this.persist('sandboxPins', this.sandboxPins);
+        
+        renderLog.info(pinned ? '📌 Pinned sandbox:' : '📌 Unpinned sandbox:', found.sandbox.name);
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.emit('sandbox:pinned', { sandbox: found.sandbox, pinned, user });
+        return true;
+    }
+
+    toggleSandboxPin(sandboxId) {
+        return this.setSandboxPinned(sandboxId, !this.isSandboxPinned(sandboxId));
+    }
+
+    // Drop every user's pin of a sandbox that no longer exists
+    forgetSandboxPins(sandboxId) {
+        let changed = false;
+        Object.keys(this.sandboxPins).forEach(user => {
+            const pins = this.sandboxPins[user].filter(pin => pin.id !== sandboxId);
+            if (pins.length !== this.sandboxPins[user].length) {
+                this.sandboxPins[user] = pins;
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.persist('sandboxPins', this.sandboxPins);
+        }
+    }
+
+    // Update animation delays for items
+    updateAnimationDelays(container) {
+        const items = container.querySelectorAll('.sandbox-item');
+        items.forEach((item, index) => {
+            item.style.animationDelay = `${index * 0.1}s`;
+        });
+    }
+
+    // Update animation delays for popover items
+    updatePopoverAnimationDelays(container) {
+        const items = container.querySelectorAll('.sandbox-popover-item');
+        items.forEach((item, index) => {
+            item.style.animationDelay = `${(index + 1) * 0.05}s`;
+        });
+    }
+
+    // Find a live sandbox by id; returns { collection, owner, sandbox } or null
+    findSandbox(sandboxId) {
+        for (const collection of ['accountSandboxes', 'organizationSandboxes']) {
+            for (const owner of Object.keys(this[collection])) {
+                const sandbox = (this[collection][owner] || []).find(s => s.id === sandboxId);
+                if (sandbox) {
+                    return { collection, owner, sandbox };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Check whether another sandbox of the same account/org already uses a name (case-insensitive)
+    isSandboxNameTaken(collection, owner, name, exceptId = null) {
+        const wanted = name.trim().toLowerCase();
+        return (this[collection][owner] || []).some(sandbox =>
+            sandbox.id !== exceptId && sandbox.name.trim().toLowerCase() === wanted);
+    }
+
+    // Run a sandbox card action ('enter' | 'pin' | 'rename' | 'clone' | 'delete') by sandbox id
+    handleSandboxItemAction(action, sandboxId) {
+        const found = this.findSandbox(sandboxId);
+        if (!found) {
+            renderLog.error('🚨 No sandbox with id:', sandboxId);
+            return;
+        }
+
+        switch (action) {
+            case 'enter':
+                this.enterSandboxMode(sandboxId);
+                break;
+            case 'pin':
+                this.toggleSandboxPin(sandboxId);
+                break;
+            case 'rename':
+                if (typeof window.openRenameSandboxDialog === 'function') {
+                    window.openRenameSandboxDialog(sandboxId);
+                }
+                break;
+            case 'clone':
+                if (typeof window.openCloneSandboxDialog === 'function') {
+                    window.openCloneSandboxDialog(sandboxId);
+                }
+                break;
+            case 'delete':
+                if (found.collection === 'organizationSandboxes') {
+                    this.deleteOrganizationSandbox(sandboxId, found.owner);
+                } else {
+                    this.deleteSandbox(sandboxId);
+                }
+                break;
+            default:
+                renderLog.error('🚨 Unknown sandbox action:', action);
+        }
+    }
+
+    // Enter sandbox mode (accepts a sandbox id or a sandbox record)
+    enterSandboxMode(sandboxOrId) {
+        const sandboxId = typeof sandboxOrId === 'string' ? sandboxOrId : sandboxOrId && sandboxOrId.id;
+        const found = this.findSandbox(sandboxId);
+        if (!found) {
+            sessionLog.error('🚨 No sandbox with id:', sandboxId);
+            return;
+        }
+        
+        const sandbox = found.sandbox;
+        const denied = this.permissions.getDeniedReason('enter', this.getPermissionScope(found.collection));
+        if (denied) {
+            sessionLog.error('🚨 Cannot enter sandbox:', denied);
+            return;
+        }
+        sessionLog.info('Entering sandbox mode:', sandbox.name, 'Type:', sandbox.type);
+        
+        // Update last used timestamp
+        sandbox.lastUsed = new Date().toISOString();
+        this.persist(found.collection, this[found.collection]);
+
+        // Close sandbox popover if it's open
+        if (typeof window.hideSandboxPopover === 'function') {
+            window.hideSandboxPopover();
+        }
+
+        // Switching straight from another sandbox ends that session
+        if (this.session.isActive()) {
+            this.recordSandboxUsage(this.session.get());
+        }
+
+        // Persist the session so a reload stays in this sandbox
+        this.session.start(sandbox, this.getActiveBusinessAccount());
+
+        // Call the global enterSandboxMode function if it exists
+        if (typeof window.enterSandboxMode === 'function') {
+            window.enterSandboxMode(sandbox.name, sandbox.type, sandbox.organizationId, sandbox.account, sandbox.id);
+        }
+        
+        // Keep other open tabs in the same sandbox
+        this.broadcastSyncMessage({ type: 'sandbox-entered', sandbox });
+        this.emit('sandbox:entered', { sandbox, remote: false });
+
+        // Update UI to show sandbox mode
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        
+        sessionLog.info('Entered sandbox mode:', sandbox.name, 'for account:', sandbox.account || 'organization');
+    }
+
+    // Leave sandbox mode and clear the persisted session (other tabs follow unless options.broadcast is false)
+    exitSandboxMode(options = {}) {
+        const remote = options.broadcast === false;
+        const found = this.session.isActive() ? this.findSandbox(this.session.state.sandboxId) : null;
+        
+        // The tab that exited records the session and clears the stored one
+        if (!remote && this.session.isActive()) {
+            this.recordSandboxUsage(this.session.get());
+        }
+        this.session.clear({ save: !remote });
+        
+        if (typeof window.resetSandboxModeUI === 'function') {
+            window.resetSandboxModeUI();
+        }
+        if (!remote) {
+            this.broadcastSyncMessage({ type: 'sandbox-exited' });
+        }
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        
+        if (found) {
+            this.emit('sandbox:exited', { sandbox: found.sandbox, remote });
+            sessionLog.info('Exited sandbox mode:', found.sandbox.name);
+        }
+    }
+
+    // Put the page back into the sandbox the session was in before a reload
+    restoreSandboxSession() {
+        const session = this.session.get();
+        if (!session) return null;
+        
+        const found = this.findSandbox(session.sandboxId);
+        if (!found) {
+            sessionLog.warn('⚠️ The sandbox from the previous session no longer exists, staying in live mode:', session.sandboxId);
+            this.session.clear();
+            return null;
+        }
+        
+        if (typeof window.restoreSandboxSession === 'function') {
+            window.restoreSandboxSession(session, found.sandbox);
+        }
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.emit('sandbox:entered', { sandbox: found.sandbox, remote: false, restored: true });
+        
+        sessionLog.info('🔁 Restored sandbox session:', found.sandbox.name);
+        return found.sandbox;
+    }
+
+    // Every sandbox reachable from a business account (the active one by default): its
+    // organization's sandboxes plus the account sandboxes of the business and each sub-account.
+    // Entries are { collection, owner, ownerName, sandbox }.
+    getReachableSandboxes(businessAccountName = null) {
+        const business = businessAccountName
+            ? { name: businessAccountName, organizationId: (this.directory.getBusiness(businessAccountName) || {}).organizationId || null }
+            : this.getActiveBusinessAccount();
+        const entries = [];
+        
+        if (business.organizationId) {
+            (this.organizationSandboxes[business.organizationId] || []).forEach(sandbox => entries.push({
+                collection: 'organizationSandboxes',
+                owner: business.organizationId,
+                ownerName: this.getOrganizationName(business.organizationId),
+                sandbox
+            }));
+        }
+        
+        const accountNames = [business.name, ...this.directory.getAccounts(business.organizationId).map(account => account.name)];
+        [...new Set(accountNames)].forEach(accountName => {
+            (this.accountSandboxes[accountName] || []).forEach(sandbox => entries.push({
+                collection: 'accountSandboxes',
+                owner: accountName,
+                ownerName: accountName,
+                sandbox
+            }));
+        });
+        
+        return entries;
+    }
+
+    // Sandbox limits of the owners getReachableSandboxes covers (organization first, then
+    // the business and its sub-accounts), each quota with its ownerName
+    getReachableSandboxQuotas(businessAccountName = null) {
+        const business = businessAccountName
+            ? { name: businessAccountName, organizationId: (this.directory.getBusiness(businessAccountName) || {}).organizationId || null }
+            : this.getActiveBusinessAccount();
+        const quotas = [];
+        
+        if (business.organizationId) {
+            quotas.push({ ...this.getSandboxQuota('organizationSandboxes', business.organizationId), ownerName: this.getOrganizationName(business.organizationId) });
+        }
+        const accountNames = [business.name, ...this.directory.getAccounts(business.organizationId).map(account => account.name)];
+        [...new Set(accountNames)].filter(Boolean).forEach(accountName => {
+            quotas.push({ ...this.getSandboxQuota('accountSandboxes', accountName), ownerName: accountName });
+        });
+        
+        return quotas;
+    }
+
+    // Business account shown as active in the account panel
+    getActiveBusinessAccount() {
+        const activeAccount = document.getElementById('active-account');
+        if (!activeAccount) {
+            return { name: this.currentActiveAccount, organizationId: null };
+        }
+        return { name: activeAccount.dataset.accountName, organizationId: activeAccount.dataset.organization || null };
+    }
+
+    // Built-in plus user-defined templates, optionally only for one scope ('account' or 'organization')
+    getSandboxTemplates(scope = null) {
+        const userTemplates = [...(this.sandboxTemplates.account || []), ...(this.sandboxTemplates.organization || [])];
+        return [...BUILT_IN_SANDBOX_TEMPLATES, ...userTemplates]
+            .filter(template => !scope || template.scope === scope);
+    }
+
+    // Find a template by id
+    getSandboxTemplate(templateId) {
+        return this.getSandboxTemplates().find(template => template.id === templateId) || null;
+    }
+
+    // Create or update a user-defined template; returns the saved template
+    saveSandboxTemplate(template) {
+        if (!template || typeof template.name !== 'string' || !template.name.trim()) {
+            throw new Error('Template name cannot be empty');
+        }
+        if (!['account', 'organization'].includes(template.scope)) {
+            throw new Error(`Template scope must be "account" or "organization", got "${template.scope}"`);
+        }
+        if (typeof template.namePattern !== 'string' || !template.namePattern.trim()) {
+            throw new Error('Template name pattern cannot be empty');
+        }
+        
+        const existing = template.id ? this.getSandboxTemplate(template.id) : null;
+        if (existing && existing.builtIn) {
+            throw new Error(`Built-in template "${existing.name}" can't be changed`);
+        }
+        this.assertPermission('edit', template.scope);
+        if (existing) {
+            this.assertPermission('edit', existing.scope);
+        }
+        
+        const name = template.name.trim();
+        const saved = {
+            id: existing ? existing.id : `template-${this.createAccountSlug(name)}-${Date.now()}`,
+            name,
+            scope: template.scope,
+            slug: existing ? existing.slug : this.createAccountSlug(name),
+            namePattern: template.namePattern.trim(),
+            description: template.description || '',
+            tags: Array.isArray(template.tags) ? template.tags.map(String) : [],
+            config: template.config && typeof template.config === 'object' ? { ...template.config } : {},
+            ttlDays: this.getExpiryDate(template.ttlDays) ? Number(template.ttlDays) : null,
+            isDefault: false,
+            builtIn: false
+        };
+        
+        // A template's scope can change on update, so drop it from both lists first
+        ['account', 'organization'].forEach(scope => {
+            this.sandboxTemplates[scope] = (this.sandboxTemplates[scope] || []).filter(t => t.id !== saved.id);
         });
+        this.sandboxTemplates[saved.scope].push(saved);
+        this.persist('sandboxTemplates', this.sandboxTemplates);
+        
+        storageLog.info('Saved sandbox template:', saved.name);
+        return saved;
+    }
 
-        if (activeAccount) {
-            accountObserver.observe(activeAccount, {
-                attributes: true,
-                attributeFilter: ['data-account-name']
-            });
+    // Delete a user-defined template
+    deleteSandboxTemplate(templateId) {
+        const template = this.getSandboxTemplate(templateId);
+        if (!template) {
+            throw new Error(`No template with id "${templateId}"`);
         }
+        if (template.builtIn) {
+            throw new Error(`Built-in template "${template.name}" can't be deleted`);
+        }
+        this.assertPermission('edit', template.scope);
+        
+        this.sandboxTemplates[template.scope] = this.sandboxTemplates[template.scope].filter(t => t.id !== templateId);
+        this.persist('sandboxTemplates', this.sandboxTemplates);
+        return true;
     }
 
-    // Load account sandboxes from localStorage
-    loadAccountSandboxes() {
-        const stored = localStorage.getItem('accountSandboxes');
-        return stored ? JSON.parse(stored) : {};
+    // Turn an existing sandbox into a user-defined template (its owner name becomes {owner})
+    createTemplateFromSandbox(sandboxId, templateName) {
+        const found = this.findSandbox(sandboxId);
+        if (!found) {
+            throw new Error(`No sandbox with id "${sandboxId}"`);
+        }
+        
+        const { sandbox } = found;
+        const ownerName = sandbox.type === 'organization' ? this.getOrganizationDisplayName(sandbox.organizationId) : sandbox.account;
+        const toPattern = (text) => String(text || '').split(ownerName).join('{owner}');
+        
+        return this.saveSandboxTemplate({
+            name: templateName || sandbox.name,
+            scope: sandbox.type === 'organization' ? 'organization' : 'account',
+            namePattern: toPattern(sandbox.name),
+            description: toPattern(sandbox.description),
+            tags: sandbox.tags || [],
+            config: sandbox.config || {},
+            ttlDays: this.getSandboxTtlDays(sandbox)
+        });
     }
 
-    // Load organization sandboxes from localStorage
-    loadOrganizationSandboxes() {
-        const stored = localStorage.getItem('organizationSandboxes');
-        return stored ? JSON.parse(stored) : {};
+    // Build (but don't save) a sandbox record for an account or organization from a template
+    buildSandboxFromTemplate(template, { account = null, organizationId = null } = {}, timestamp = Date.now()) {
+        const created = new Date().toISOString();
+        const details = {
+            templateId: template.id,
+            tags: [...(template.tags || [])],
+            config: { ...(template.config || {}) },
+            expiresAt: this.getExpiryDate(template.ttlDays)
+        };
+        
+        if (template.scope === 'organization') {
+            const orgAccounts = this.directory.getAccounts(organizationId);
+            const orgName = this.getOrganizationDisplayName(organizationId);
+            const values = { owner: orgName, accountCount: orgAccounts.length };
+            
+            return {
+                name: fillTemplatePattern(template.namePattern, values),
+                type: 'organization',
+                organizationId: organizationId,
+                accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
+                created,
+                lastUsed: null,
+                id: `${this.createOrganizationSlug(organizationId, orgName)}-${template.slug}-${timestamp}`,
+                description: fillTemplatePattern(template.description, values),
+                ...details
+            };
+        }
+        
+        const values = { owner: account, accountCount: 1 };
+        return {
+            name: fillTemplatePattern(template.namePattern, values),
+            type: 'account',
+            organization: null,
+            account: account,
+            created,
+            lastUsed: null,
+            id: `${this.createAccountSlug(account)}-${template.slug}-${timestamp}`,
+            description: fillTemplatePattern(template.description, values),
+            ...details
+        };
     }
 
-    // Save account sandboxes to localStorage
-    saveAccountSandboxes() {
-        localStorage.setItem('accountSandboxes', JSON.stringify(this.accountSandboxes));
+    // Make a sandbox id that no live or trashed sandbox uses yet
+    generateSandboxId(slug, suffix) {
+        const base = `${slug}-${suffix}-${Date.now()}`;
+        let id = base;
+        for (let n = 2; this.findSandbox(id) || this.findInTrash(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
     }
 
-    // Save organization sandboxes to localStorage
-    saveOrganizationSandboxes() {
-        localStorage.setItem('organizationSandboxes', JSON.stringify(this.organizationSandboxes));
+    // Append " (2)", " (3)", ... until the name is free within the account/org
+    getUniqueSandboxName(collection, owner, name) {
+        let candidate = name;
+        for (let n = 2; this.isSandboxNameTaken(collection, owner, candidate); n++) {
+            candidate = `${name} (${n})`;
+        }
+        return candidate;
     }
 
-    // Debug function to inspect sandbox storage
-    debugSandboxStorage() {
-        console.log('=== SANDBOX STORAGE DEBUG ===');
-        console.log('Current Active Account:', this.currentActiveAccount);
-        console.log('Account Sandboxes:', JSON.stringify(this.accountSandboxes, null, 2));
-        console.log('Organization Sandboxes:', JSON.stringify(this.organizationSandboxes, null, 2));
-        console.log('LocalStorage accountSandboxes:', localStorage.getItem('accountSandboxes'));
-        console.log('LocalStorage organizationSandboxes:', localStorage.getItem('organizationSandboxes'));
-        console.log('=== END DEBUG ===');
+    // Sandboxes of an account or organization, seeding the defaults on first use
+    getSandboxList(collection, owner) {
+        return collection === 'organizationSandboxes'
+            ? this.getOrganizationSandboxesForOrganization(owner)
+            : this.getSandboxesForAccount(owner);
     }
 
-    // Clear all sandbox data (for debugging)
-    clearAllSandboxData() {
-        this.accountSandboxes = {};
-        this.organizationSandboxes = {};
-        localStorage.removeItem('accountSandboxes');
-        localStorage.removeItem('organizationSandboxes');
-        console.log('All sandbox data cleared');
+    // Add a sandbox record to its account/org, save, re-render and emit sandbox:created.
+    // Throws if the user may not create sandboxes there or the account/org is at its limit.
+    addSandbox(collection, owner, sandbox, reason = 'create') {
+        this.assertPermission('create', this.getPermissionScope(collection));
+        this.assertSandboxQuota(collection, owner);
+        this[collection][owner] = [...this.getSandboxList(collection, owner), sandbox];
+        this.persist(collection, this[collection]);
         this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.emitCreated(collection, owner, [sandbox], reason);
+        return sandbox;
     }
 
-    // Clean up broken organization sandboxes with undefined organizationId
-    cleanupBrokenOrganizationSandboxes() {
-        console.log('🧹 Cleaning up broken organization sandboxes...');
-        
-        let cleanupCount = 0;
-        const brokenKeys = [];
+    // Create a sandbox from a template for an account or organization (defaults to the
+    // current one). An explicit name must be unique; generated names are made unique.
+    // `ttlDays` overrides the template's expiry.
+    createSandboxFromTemplate(templateId, { account = null, organizationId = null, name = null, ttlDays } = {}) {
+        const template = this.getSandboxTemplate(templateId);
+        if (!template) {
+            throw new Error(`No template with id "${templateId}"`);
+        }
         
-        // Find sandboxes with undefined or invalid organizationId
-        Object.keys(this.organizationSandboxes).forEach(orgId => {
-            if (!orgId || orgId === 'undefined' || orgId === 'null') {
-                brokenKeys.push(orgId);
-                const brokenSandboxes = this.organizationSandboxes[orgId];
-                console.log(`🗑️  Found ${brokenSandboxes.length} broken sandboxes with invalid orgId: "${orgId}"`);
-                cleanupCount += brokenSandboxes.length;
-            }
-        });
+        const scope = this.getSandboxScope();
+        const target = template.scope === 'organization'
+            ? { organizationId: organizationId || scope.organizationId }
+            : { account: account || this.currentActiveAccount };
+        if (template.scope === 'organization' && !isValidOrganizationId(target.organizationId)) {
+            throw new Error(`Template "${template.name}" needs an organization, but "${target.organizationId}" isn't one`);
+        }
+        if (template.scope === 'account' && !target.account) {
+            throw new Error('No account to create the sandbox for');
+        }
         
-        // Remove broken entries
-        brokenKeys.forEach(brokenKey => {
-            delete this.organizationSandboxes[brokenKey];
-        });
+        const collection = template.scope === 'organization' ? 'organizationSandboxes' : 'accountSandboxes';
+        const owner = target.organizationId || target.account;
+        const slug = target.organizationId
+            ? this.createOrganizationSlug(target.organizationId, this.getOrganizationDisplayName(target.organizationId))
+            : this.createAccountSlug(target.account);
+        const sandbox = this.buildSandboxFromTemplate(template, target);
+        sandbox.id = this.generateSandboxId(slug, template.slug);
+        if (ttlDays !== undefined) {
+            sandbox.expiresAt = this.getExpiryDate(ttlDays);
+        }
+        this.getSandboxList(collection, owner);
         
-        if (cleanupCount > 0) {
-            this.saveOrganizationSandboxes();
-            console.log(`✅ Cleaned up ${cleanupCount} broken organization sandboxes`);
-            this.updateSandboxesForAccount(this.currentActiveAccount);
+        if (name) {
+            if (this.isSandboxNameTaken(collection, owner, name)) {
+                throw new Error(`A sandbox named "${name.trim()}" already exists in ${owner}`);
+            }
+            sandbox.name = name.trim();
         } else {
-            console.log('✅ No broken organization sandboxes found');
+            sandbox.name = this.getUniqueSandboxName(collection, owner, sandbox.name);
         }
         
-        return cleanupCount;
+        this.addSandbox(collection, owner, sandbox, 'template');
+        storageLog.info('Created sandbox from template:', template.name, '→', sandbox.name, 'for:', owner);
+        return sandbox;
     }
 
-    // Validate that sandbox isolation is working correctly
-    validateSandboxIsolation(previousAccount, newAccount) {
-        if (!previousAccount || !newAccount) return;
-        
-        const previousSandboxes = this.accountSandboxes[previousAccount] || [];
-        const newSandboxes = this.accountSandboxes[newAccount] || [];
+    // Find the organization an account belongs to (from the organization roster)
+    getOrganizationIdForAccount(accountName) {
+        return this.directory.getOrganizationIdForAccount(accountName);
+    }
+
+    // Whether the directory lists the account as a business or sub-account. Any account
+    // counts as known until the directory has loaded, since there's nothing to check against.
+    isKnownAccount(accountName) {
+        if (!this.directory.isLoaded || this.directory.getOrganizations().length === 0) return true;
+        return Boolean(this.directory.getBusiness(accountName) || this.directory.getOrganizationIdForAccount(accountName));
+    }
+
+    // Where a sandbox can be cloned to: its own account plus sibling accounts of the
+    // same organization, or just its own organization for organization sandboxes
+    getCloneTargets(sandboxId) {
+        const found = this.findSandbox(sandboxId);
+        if (!found) return [];
+        if (found.collection === 'organizationSandboxes') return [found.owner];
         
-        console.log('=== SANDBOX ISOLATION VALIDATION ===');
-        console.log('Previous business account:', previousAccount, 'has', previousSandboxes.length, 'sandboxes');
-        console.log('New business account:', newAccount, 'has', newSandboxes.length, 'sandboxes');
+        const organizationId = this.getOrganizationIdForAccount(found.owner);
+        const siblings = organizationId
+            ? this.directory.getAccounts(organizationId).map(account => account.name).filter(name => name !== found.owner)
+            : [];
+        return [found.owner, ...siblings];
+    }
+
+    // Duplicate a sandbox. Account sandboxes can be cloned into a sibling account of the
+    // same organization by passing `account`.
+    cloneSandbox(sandboxId, { account = null, name = null } = {}) {
+        const found = this.findSandbox(sandboxId);
+        if (!found) {
+            throw new Error(`No sandbox with id "${sandboxId}"`);
+        }
         
-        // Check if sandbox arrays are different references
-        if (previousSandboxes === newSandboxes) {
-            console.error('🚨 SANDBOX ISOLATION BROKEN: Same sandbox array reference!');
-            console.error('Previous:', previousSandboxes);
-            console.error('New:', newSandboxes);
-        } else {
-            console.log('✅ Sandbox isolation working - different array references');
+        const source = found.sandbox;
+        const isOrganization = found.collection === 'organizationSandboxes';
+        const targetOwner = isOrganization ? found.owner : (account || found.owner);
+        if (isOrganization && account) {
+            throw new Error('Organization sandboxes can only be cloned within their organization');
+        }
+        if (!this.getCloneTargets(sandboxId).includes(targetOwner)) {
+            throw new Error(`"${source.name}" can only be cloned to accounts in the same organization as ${found.owner}`);
         }
         
-        // Check for business account-specific sandbox naming
-        const previousAccountSpecific = previousSandboxes.filter(s => s.account === previousAccount);
-        const newAccountSpecific = newSandboxes.filter(s => s.account === newAccount);
+        const crossAccount = targetOwner !== found.owner;
+        const retarget = (text) => (crossAccount ? String(text || '').split(found.owner).join(targetOwner) : text);
+        const clone = JSON.parse(JSON.stringify(source));
+        const slug = isOrganization
+            ? this.createOrganizationSlug(found.owner, this.getOrganizationDisplayName(found.owner))
+            : this.createAccountSlug(targetOwner);
         
-        console.log('Previous account-specific sandboxes:', previousAccountSpecific.length);
-        console.log('New account-specific sandboxes:', newAccountSpecific.length);
+        clone.id = this.generateSandboxId(slug, 'clone');
+        this.getSandboxList(found.collection, targetOwner);
+        clone.created = new Date().toISOString();
+        clone.lastUsed = null;
+        clone.expiresAt = this.getExpiryDate(this.getSandboxTtlDays(source));
+        clone.clonedFrom = source.id;
+        clone.description = retarget(source.description);
+        if (!isOrganization) {
+            clone.account = targetOwner;
+        }
         
-        // Check if sandbox contents are improperly shared between business accounts
-        const previousNames = previousSandboxes.map(s => s.name);
-        const newNames = newSandboxes.map(s => s.name);
-        const sharedNames = previousNames.filter(name => newNames.includes(name));
+        if (name) {
+            if (this.isSandboxNameTaken(found.collection, targetOwner, name)) {
+                throw new Error(`A sandbox named "${name.trim()}" already exists in ${targetOwner}`);
+            }
+            clone.name = name.trim();
+        } else {
+            const baseName = crossAccount ? retarget(source.name) : `${source.name} (copy)`;
+            clone.name = this.getUniqueSandboxName(found.collection, targetOwner, baseName);
+        }
         
-        if (sharedNames.length > 0) {
-            console.warn('⚠️  Potentially shared sandbox names between business accounts:', sharedNames);
+        this.addSandbox(found.collection, targetOwner, clone, 'clone');
+        storageLog.info('Cloned sandbox:', source.name, '→', clone.name, 'in:', targetOwner);
+        return clone;
+    }
+
+    // Resolve where a new sandbox goes. `scope` is 'account' or 'organization'; the account
+    // or organizationId defaults to the one currently in view.
+    // Returns { scope, collection, owner, ownerName }.
+    resolveSandboxTarget({ scope = 'account', account = null, organizationId = null } = {}) {
+        if (scope === 'organization') {
+            const targetOrganizationId = organizationId || this.getActiveBusinessAccount().organizationId;
+            if (!isValidOrganizationId(targetOrganizationId)) {
+                throw new Error('Organization sandboxes need an organization, and the current account is not part of one');
+            }
+            return {
+                scope,
+                collection: 'organizationSandboxes',
+                owner: targetOrganizationId,
+                ownerName: this.getOrganizationDisplayName(targetOrganizationId)
+            };
         }
         
-        // Validate that each business account only sees its own sandboxes
-        const invalidPreviousSandboxes = previousSandboxes.filter(s => s.account && s.account !== previousAccount);
-        const invalidNewSandboxes = newSandboxes.filter(s => s.account && s.account !== newAccount);
+        if (scope !== 'account') {
+            throw new Error(`Unknown sandbox scope "${scope}"`);
+        }
+        const targetAccount = account || this.currentActiveAccount;
+        if (!targetAccount) {
+            throw new Error('No account to create the sandbox for');
+        }
+        return { scope, collection: 'accountSandboxes', owner: targetAccount, ownerName: targetAccount };
+    }
+
+    // Why sandboxes can't be created for the target's account, or null. Catches accounts
+    // passed explicitly that the directory doesn't list, e.g. a typo nobody could reach.
+    getUnknownAccountError(target) {
+        if (target.scope !== 'account' || this.isKnownAccount(target.owner)) return null;
+        return `"${target.owner}" is not a business or sub-account in the organization directory`;
+    }
+
+    // Check a new sandbox before creating it. Returns { target, fullName, error }, where
+    // fullName is the name the sandbox will get and error is null when it can be created.
+    previewSandbox({ name = '', scope = 'account', account = null, organizationId = null } = {}) {
+        const target = this.resolveSandboxTarget({ scope, account, organizationId });
+        const trimmedName = String(name || '').trim();
+        const fullName = `${target.ownerName} - ${trimmedName}`;
         
-        if (invalidPreviousSandboxes.length > 0) {
-            console.error('🚨 BUSINESS ACCOUNT ISOLATION BROKEN: Previous account sees sandboxes from other accounts:', invalidPreviousSandboxes);
+        let error = this.getUnknownAccountError(target)
+            || this.permissions.getDeniedReason('create', target.scope)
+            || this.getSandboxQuotaError(target.collection, target.owner);
+        if (error) {
+            // Nothing else matters if the sandbox can't be created there at all
+        } else if (!trimmedName) {
+            error = 'Enter a name for the sandbox';
+        } else if (fullName.length > MAX_SANDBOX_NAME_LENGTH) {
+            error = `Sandbox names can be at most ${MAX_SANDBOX_NAME_LENGTH} characters ("${fullName}" has ${fullName.length})`;
+        } else if (this.isSandboxNameTaken(target.collection, target.owner, fullName)) {
+            error = `A sandbox named "${fullName}" already exists in ${target.ownerName}`;
+        }
+        return { target, fullName, error };
+    }
+
+    // Create a sandbox for an explicit target:
+    // createSandbox({ name, scope: 'account' | 'organization', account, organizationId, description, ttlDays }).
+    // The older createSandbox(name, type) form targets the account/organization in view.
+    // Throws if the account isn't in the organization directory, if the name is empty, too
+    // long or already used in that account/organization, if the user's role may not create
+    // sandboxes there or if it is at its sandbox limit.
+    createSandbox(nameOrOptions, sandboxType = 'account') {
+        const options = nameOrOptions !== null && typeof nameOrOptions === 'object'
+            ? nameOrOptions
+            : { name: nameOrOptions, scope: sandboxType };
+        
+        // Seed the target's defaults first so the duplicate check sees them, but never for an
+        // account the directory doesn't know
+        const { target } = this.previewSandbox(options);
+        const unknownAccountError = this.getUnknownAccountError(target);
+        if (unknownAccountError) {
+            throw new Error(unknownAccountError);
+        }
+        this.getSandboxList(target.collection, target.owner);
+        const { fullName, error } = this.previewSandbox(options);
+        if (error) {
+            throw new Error(error);
         }
         
-        if (invalidNewSandboxes.length > 0) {
-            console.error('🚨 BUSINESS ACCOUNT ISOLATION BROKEN: New account sees sandboxes from other accounts:', invalidNewSandboxes);
+        const sandboxName = String(options.name).trim();
+        const description = options.description ? String(options.description).trim() : '';
+        const expiresAt = this.getExpiryDate(options.ttlDays);
+        let newSandbox;
+        if (target.scope === 'organization') {
+            const orgAccounts = this.directory.getAccounts(target.owner);
+            newSandbox = {
+                name: fullName,
+                type: 'organization',
+                organizationId: target.owner,
+                accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
+                created: new Date().toISOString(),
+                lastUsed: null,
+                id: this.generateSandboxId(this.createOrganizationSlug(target.owner, target.ownerName), 'custom'),
+                description: description || `Custom organization sandbox for ${target.ownerName} (${orgAccounts.length} accounts): ${sandboxName}`,
+                expiresAt
+            };
+        } else {
+            newSandbox = {
+                name: fullName,
+                type: 'account',
+                organization: null,
+                account: target.owner,
+                created: new Date().toISOString(),
+                lastUsed: null,
+                id: this.generateSandboxId(this.createAccountSlug(target.owner), 'custom'),
+                description: description || `Custom sandbox for ${target.owner}: ${sandboxName}`,
+                expiresAt
+            };
         }
         
-        if (invalidPreviousSandboxes.length === 0 && invalidNewSandboxes.length === 0) {
-            console.log('✅ Business account isolation working correctly');
+        this.addSandbox(target.collection, target.owner, newSandbox, 'create');
+        storageLog.info('Created new sandbox:', newSandbox.name, 'for:', target.owner);
+        return newSandbox;
+    }
+
+    // Create a new organization sandbox for the organization in view
+    createOrganizationSandbox(sandboxName) {
+        return this.createSandbox({ name: sandboxName, scope: 'organization' });
+    }
+
+    // Delete an account sandbox by id (moves it to the trash)
+    deleteSandbox(sandboxId) {
+        const found = this.findSandbox(sandboxId);
+        if (!found || found.collection !== 'accountSandboxes') {
+            storageLog.error('🚨 No account sandbox with id:', sandboxId);
+            return [];
+        }
+        const denied = this.permissions.getDeniedReason('delete', 'account');
+        if (denied) {
+            storageLog.error('🚨 Cannot delete sandbox:', denied);
+            return [];
         }
+
+        const accountSandboxes = this.getSandboxesForAccount(found.owner);
+        this.accountSandboxes[found.owner] = accountSandboxes.filter(sandbox => sandbox.id !== sandboxId);
+        this.saveAccountSandboxes();
+        const trashed = this.moveToTrash('accountSandboxes', found.owner, [found.sandbox]);
+
+        // Update UI
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.showUndoNotice(trashed);
+        this.emitDeleted('accountSandboxes', found.owner, trashed, { reason: 'delete' });
         
-        console.log('=== END VALIDATION ===');
+        storageLog.info('Deleted sandbox:', found.sandbox.name, 'from account:', found.owner);
+        return trashed;
     }
 
-    // Get sandboxes for a specific account
-    getSandboxesForAccount(accountName) {
-        if (!accountName) {
-            console.error('🚨 getSandboxesForAccount called with empty accountName');
+    // Delete an organization sandbox by id (moves it to the trash)
+    deleteOrganizationSandbox(sandboxId, organizationId) {
+        const organizationSandboxes = this.getOrganizationSandboxesForOrganization(organizationId);
+        const deletedSandboxes = organizationSandboxes.filter(sandbox => sandbox.id === sandboxId);
+        if (deletedSandboxes.length === 0) {
+            storageLog.error('🚨 No sandbox with id:', sandboxId, 'in organization:', organizationId);
+            return [];
+        }
+        const denied = this.permissions.getDeniedReason('delete', 'organization');
+        if (denied) {
+            storageLog.error('🚨 Cannot delete sandbox:', denied);
             return [];
         }
         
-        console.log(`🔍 Getting sandboxes for account: "${accountName}"`);
+        this.organizationSandboxes[organizationId] = organizationSandboxes.filter(sandbox => sandbox.id !== sandboxId);
+        this.saveOrganizationSandboxes();
+        const trashed = this.moveToTrash('organizationSandboxes', organizationId, deletedSandboxes);
+
+        // Update UI
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.showUndoNotice(trashed);
+        this.emitDeleted('organizationSandboxes', organizationId, trashed, { reason: 'delete' });
         
-        if (!this.accountSandboxes[accountName]) {
-            console.log(`📦 No existing sandboxes found for "${accountName}", creating defaults...`);
-            // Initialize with default sandboxes for new accounts
-            this.accountSandboxes[accountName] = this.getDefaultSandboxes(accountName);
-            this.saveAccountSandboxes();
-            console.log(`✅ Created ${this.accountSandboxes[accountName].length} default sandboxes for "${accountName}"`);
+        storageLog.info('Deleted organization sandbox:', deletedSandboxes[0].name, 'from organization:', organizationId);
+        return trashed;
+    }
+
+    // Delete several account and/or organization sandboxes at once (moves them to the trash).
+    // One undo notice covers the whole batch. Throws before deleting anything if the user's
+    // role may not delete some of them; the scheduled cleanup (reason 'cleanup') isn't checked.
+    deleteSandboxes(sandboxIds, { reason = 'delete' } = {}) {
+        const groups = new Map();
+        sandboxIds.forEach(sandboxId => {
+            const found = this.findSandbox(sandboxId);
+            if (!found) {
+                storageLog.error('🚨 No sandbox with id:', sandboxId);
+                return;
+            }
+            const groupKey = JSON.stringify([found.collection, found.owner]);
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { collection: found.collection, owner: found.owner, sandboxes: [] });
+            }
+            groups.get(groupKey).sandboxes.push(found.sandbox);
+        });
+        if (reason !== 'cleanup') {
+            groups.forEach(({ collection }) => this.assertPermission('delete', this.getPermissionScope(collection)));
         }
         
-        const sandboxes = this.accountSandboxes[accountName];
-        console.log(`📦 Returning ${sandboxes.length} sandboxes for "${accountName}":`, sandboxes.map(s => s.name));
-        return sandboxes;
+        const trashedGroups = [];
+        groups.forEach(({ collection, owner, sandboxes }) => {
+            const deletedIds = new Set(sandboxes.map(sandbox => sandbox.id));
+            this[collection][owner] = this[collection][owner].filter(sandbox => !deletedIds.has(sandbox.id));
+            trashedGroups.push({ collection, owner, trashed: this.moveToTrash(collection, owner, sandboxes) });
+        });
+        new Set(trashedGroups.map(group => group.collection)).forEach(collection => this.persist(collection, this[collection]));
+        
+        // Update UI
+        const trashed = trashedGroups.flatMap(group => group.trashed);
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.showUndoNotice(trashed, reason === 'cleanup' ? 'Archived' : 'Deleted');
+        trashedGroups.forEach(group => this.emitDeleted(group.collection, group.owner, group.trashed, { reason }));
+        
+        storageLog.info('Deleted sandboxes:', trashed.map(sandbox => sandbox.name).join(', '));
+        return trashed;
     }
 
-    // Get organization sandboxes for a specific organization
-    getOrganizationSandboxesForOrganization(organizationId) {
-        if (!organizationId || organizationId === 'undefined' || organizationId === 'null') {
-            console.error('🚨 getOrganizationSandboxesForOrganization called with invalid organizationId:', organizationId);
-            return []; // Return empty array for invalid org IDs
+    // Change editable fields of a sandbox. Identity and ownership fields can't be patched,
+    // and the name must stay unique within its account/org.
+    updateSandbox(sandboxId, patch = {}) {
+        const found = this.findSandbox(sandboxId);
+        if (!found) {
+            throw new Error(`No sandbox with id "${sandboxId}"`);
         }
+        this.assertPermission('edit', this.getPermissionScope(found.collection));
         
-        console.log(`🔍 Getting organization sandboxes for organization: "${organizationId}"`);
+        const lockedFields = ['id', 'type', 'account', 'organizationId', 'created'].filter(field => field in patch);
+        if (lockedFields.length > 0) {
+            throw new Error(`Sandbox fields can't be changed: ${lockedFields.join(', ')}`);
+        }
         
-        if (!this.organizationSandboxes[organizationId]) {
-            console.log(`📦 No existing organization sandboxes found for "${organizationId}", creating defaults...`);
-            // Initialize with default organization sandboxes
-            this.organizationSandboxes[organizationId] = this.getDefaultOrganizationSandboxes(organizationId);
-            this.saveOrganizationSandboxes();
-            console.log(`✅ Created organization sandboxes for "${organizationId}"`);
+        const updates = { ...patch };
+        if ('name' in updates) {
+            if (typeof updates.name !== 'string' || !updates.name.trim()) {
+                throw new Error('Sandbox name cannot be empty');
+            }
+            updates.name = updates.name.trim();
+            if (this.isSandboxNameTaken(found.collection, found.owner, updates.name, sandboxId)) {
+                throw new Error(`A sandbox named "${updates.name}" already exists in ${found.owner}`);
+            }
         }
         
-        const sandboxes = this.organizationSandboxes[organizationId];
-        console.log(`📦 Returning ${sandboxes.length} organization sandboxes for "${organizationId}"`);
-        return sandboxes;
+        const updated = { ...found.sandbox, ...updates };
+        this[found.collection][found.owner] = this[found.collection][found.owner].map(sandbox =>
+            sandbox.id === sandboxId ? updated : sandbox);
+        this.persist(found.collection, this[found.collection]);
+        
+        // Update UI, including the sandbox bar if we're in this sandbox
+        if (typeof window.refreshActiveSandbox === 'function') {
+            window.refreshActiveSandbox(updated);
+        }
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.emit('sandbox:updated', { sandbox: updated, previous: found.sandbox, changes: updates });
+        
+        storageLog.info('Updated sandbox:', updated.name, 'fields:', Object.keys(updates).join(', '));
+        return updated;
     }
 
-    // Get default sandboxes for an account
-    getDefaultSandboxes(accountName) {
-        // Create unique sandbox names with timestamp to ensure distinctness
-        const timestamp = new Date().getTime();
-        const accountSlug = this.createAccountSlug(accountName);
+    // Rename a sandbox (name must be unique within its account/org)
+    renameSandbox(sandboxId, newName) {
+        return this.updateSandbox(sandboxId, { name: newName });
+    }
+
+    // Emit sandbox:created for each record added to an account/org
+    emitCreated(collection, owner, sandboxes, reason) {
+        sandboxes.forEach(sandbox => this.emit('sandbox:created', { sandbox, collection, owner, reason }));
+    }
+
+    // Emit sandbox:deleted for each record removed from an account/org (or purged from the trash)
+    emitDeleted(collection, owner, sandboxes, { reason, permanent = false }) {
+        sandboxes.forEach(sandbox => this.emit('sandbox:deleted', { sandbox, collection, owner, permanent, reason }));
+    }
+
+    // Save both trash collections
+    saveTrash() {
+        this.persist('accountSandboxTrash', this.accountSandboxTrash);
+        return this.persist('organizationSandboxTrash', this.organizationSandboxTrash);
+    }
+
+    // Stamp sandboxes with deletedAt and add them to the owner's trash
+    moveToTrash(collection, owner, sandboxes) {
+        if (sandboxes.length === 0) return [];
         
-        return [
-            {
-                name: `${accountName} Development Environment`,
-                type: 'account',
-                organization: null,
-                account: accountName,
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${accountSlug}-dev-${timestamp}`, // Unique identifier with clean slug
-                description: `Development sandbox for ${accountName} - safe testing environment`
-            },
-            {
-                name: `${accountName} Staging Environment`,
-                type: 'account',
-                organization: null,
-                account: accountName,
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${accountSlug}-staging-${timestamp}`, // Unique identifier with clean slug
-                description: `Staging sandbox for ${accountName} - pre-production testing`
-            },
-            {
-                name: `${accountName} QA Testing`,
-                type: 'account',
-                organization: null,
-                account: accountName,
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${accountSlug}-qa-${timestamp}`, // Unique identifier with clean slug
-                description: `Quality assurance sandbox for ${accountName} - comprehensive testing`
-            }
-        ];
+        const trashKey = SANDBOX_TRASH_KEYS[collection];
+        const deletedAt = new Date().toISOString();
+        const trashed = sandboxes.map(sandbox => ({ ...sandbox, deletedAt }));
+        
+        this[trashKey][owner] = this[trashKey][owner] || [];
+        this[trashKey][owner].push(...trashed);
+        this.persist(trashKey, this[trashKey]);
+        return trashed;
     }
 
-    // Helper method to create clean account slug for IDs
-    createAccountSlug(accountName) {
-        if (!accountName) {
-            console.error('🚨 Cannot create slug from empty account name');
-            return 'unknown-account';
-        }
+    // List trashed sandboxes, newest first, optionally for one account or organization.
+    // Each entry is { collection, owner, sandbox, expiresAt }.
+    getTrash({ account = null, organizationId = null } = {}) {
+        const retentionMs = this.settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const entries = [];
         
-        const slug = accountName
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-') // Replace non-alphanumeric with hyphens
-            .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
-            .substring(0, 20); // Limit length
-            
-        console.log(`🔧 Created slug for "${accountName}": "${slug}"`);
-        return slug || 'account'; // Fallback if slug becomes empty
+        Object.keys(SANDBOX_TRASH_KEYS).forEach(collection => {
+            const trash = this[SANDBOX_TRASH_KEYS[collection]];
+            Object.keys(trash).forEach(owner => {
+                if (account && (collection !== 'accountSandboxes' || owner !== account)) return;
+                if (organizationId && (collection !== 'organizationSandboxes' || owner !== organizationId)) return;
+                
+                trash[owner].forEach(sandbox => {
+                    const expiresAt = new Date(new Date(sandbox.deletedAt).getTime() + retentionMs).toISOString();
+                    entries.push({ collection, owner, sandbox, expiresAt });
+                });
+            });
+        });
+        
+        return entries.sort((a, b) => b.sandbox.deletedAt.localeCompare(a.sandbox.deletedAt));
     }
 
-    // Get default organization sandboxes for an organization
-    getDefaultOrganizationSandboxes(organizationId) {
-        if (!organizationId || organizationId === 'undefined') {
-            console.error('🚨 Cannot create organization sandboxes without valid organizationId:', organizationId);
-            return [];
+    // Find a trashed sandbox by id
+    findInTrash(sandboxId) {
+        return this.getTrash().find(entry => entry.sandbox.id === sandboxId) || null;
+    }
+
+    // Remove one record from its trash collection (without saving)
+    removeFromTrash(entry) {
+        const trashKey = SANDBOX_TRASH_KEYS[entry.collection];
+        this[trashKey][entry.owner] = this[trashKey][entry.owner].filter(sandbox => sandbox.id !== entry.sandbox.id);
+        if (this[trashKey][entry.owner].length === 0) {
+            delete this[trashKey][entry.owner];
+        }
+    }
+
+    // Put a trashed sandbox back where it was deleted from
+    restoreSandbox(sandboxId) {
+        const entry = this.findInTrash(sandboxId);
+        if (!entry) {
+            storageLog.error('🚨 No trashed sandbox with id:', sandboxId);
+            return null;
         }
+        // Restoring adds a sandbox back, so it takes the same permission as creating one
+        this.assertPermission('create', this.getPermissionScope(entry.collection));
         
-        const orgAccounts = this.organizationAccounts[organizationId] || [];
-        const timestamp = new Date().getTime();
+        const live = this[entry.collection][entry.owner] || [];
+        if (live.some(sandbox => sandbox.id === sandboxId)) {
+            storageLog.error('🚨 Cannot restore, a sandbox with this id already exists:', sandboxId);
+            return null;
+        }
+        const quotaError = this.getSandboxQuotaError(entry.collection, entry.owner);
+        if (quotaError) {
+            storageLog.error('🚨 Cannot restore:', quotaError);
+            return null;
+        }
         
-        // Get organization name for unique sandbox names
-        const orgName = this.getOrganizationDisplayName(organizationId);
-        const orgSlug = this.createOrganizationSlug(organizationId, orgName);
-        const accountCount = orgAccounts.length;
+        const restored = { ...entry.sandbox };
+        delete restored.deletedAt;
+        // Another sandbox may have taken the name since; suffix it like clones are
+        restored.name = this.getUniqueSandboxName(entry.collection, entry.owner, restored.name);
+        if (restored.name !== entry.sandbox.name) {
+            storageLog.info(`"${entry.sandbox.name}" is taken in ${entry.owner}, restoring as "${restored.name}"`);
+        }
+        this[entry.collection][entry.owner] = [...live, restored];
+        this.removeFromTrash(entry);
         
-        return [
-            {
-                name: `${orgName} Multi-Account Development`,
-                type: 'organization',
-                organizationId: organizationId,
-                accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${orgSlug}-dev-${timestamp}`, // Unique identifier
-                description: `Development environment for ${orgName} organization (${accountCount} accounts)`
-            },
-            {
-                name: `${orgName} Cross-Account Integration`,
-                type: 'organization',
-                organizationId: organizationId,
-                accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${orgSlug}-integration-${timestamp}`, // Unique identifier
-                description: `Integration testing across all ${orgName} accounts`
-            },
-            {
-                name: `${orgName} Production Rollout`,
-                type: 'organization',
-                organizationId: organizationId,
-                accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${orgSlug}-production-${timestamp}`, // Unique identifier
-                description: `Production deployment sandbox for ${orgName} (${accountCount} accounts)`
-            },
-            {
-                name: `${orgName} Security & Compliance`,
-                type: 'organization',
-                organizationId: organizationId,
-                accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
-                created: new Date().toISOString(),
-                lastUsed: null,
-                id: `${orgSlug}-security-${timestamp}`, // Unique identifier
-                description: `Security and compliance testing for ${orgName} organization`
-            }
-        ];
+        this.persist(entry.collection, this[entry.collection]);
+        this.persist(SANDBOX_TRASH_KEYS[entry.collection], this[SANDBOX_TRASH_KEYS[entry.collection]]);
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.emitCreated(entry.collection, entry.owner, [restored], 'restore');
+        
+        storageLog.info('Restored sandbox:', restored.name, 'to:', entry.owner);
+        return restored;
+    }
+
+    // Permanently delete a trashed sandbox
+    purgeSandbox(sandboxId) {
+        const entry = this.findInTrash(sandboxId);
+        if (!entry) {
+            storageLog.error('🚨 No trashed sandbox with id:', sandboxId);
+            return false;
+        }
+        this.assertPermission('delete', this.getPermissionScope(entry.collection));
+        
+        this.removeFromTrash(entry);
+        this.persist(SANDBOX_TRASH_KEYS[entry.collection], this[SANDBOX_TRASH_KEYS[entry.collection]]);
+        this.emitDeleted(entry.collection, entry.owner, [entry.sandbox], { reason: 'purge', permanent: true });
+        storageLog.info('Permanently deleted sandbox:', entry.sandbox.name);
+        return true;
     }
 
-    // Helper method to create clean organization slug for IDs
-    createOrganizationSlug(organizationId, orgName) {
-        // Prefer organization ID if it's clean, otherwise use name
-        if (organizationId && organizationId.match(/^[a-z0-9-]+$/)) {
-            return organizationId.substring(0, 15);
+    // Permanently delete everything in the trash (or one account/org's trash)
+    emptyTrash(scope = {}) {
+        const entries = this.getTrash(scope);
+        entries.forEach(entry => this.assertPermission('delete', this.getPermissionScope(entry.collection)));
+        entries.forEach(entry => this.removeFromTrash(entry));
+        if (entries.length > 0) {
+            this.saveTrash();
         }
+        entries.forEach(entry => this.emitDeleted(entry.collection, entry.owner, [entry.sandbox], { reason: 'purge', permanent: true }));
+        return entries.length;
+    }
+
+    // Purge trashed sandboxes older than the retention period; returns how many went
+    purgeExpiredTrash(now = new Date()) {
+        const expired = this.getTrash().filter(entry => new Date(entry.expiresAt) <= now);
+        expired.forEach(entry => this.removeFromTrash(entry));
+        expired.forEach(entry => this.emitDeleted(entry.collection, entry.owner, [entry.sandbox], { reason: 'purge', permanent: true }));
         
-        return orgName
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-') // Replace non-alphanumeric with hyphens
-            .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
-            .substring(0, 15); // Shorter limit for org slugs
+        if (expired.length > 0) {
+            this.saveTrash();
+            storageLog.info(`🧹 Purged ${expired.length} sandbox(es) deleted more than ${this.settings.trashRetentionDays} days ago`);
+        }
+        return expired.length;
     }
 
-    // Helper method to get display name for organization
-    getOrganizationDisplayName(organizationId) {
-        // Try to find the organization name from current accounts
-        const activeAccountElement = document.getElementById('active-account');
-        if (activeAccountElement && activeAccountElement.dataset.organization === organizationId) {
-            return activeAccountElement.dataset.accountName;
+    // Change how many days deleted sandboxes are kept, then purge anything now expired
+    setTrashRetentionDays(days) {
+        this.assertPermission('manage', 'retention');
+        const retention = Number(days);
+        if (!Number.isFinite(retention) || retention < 1) {
+            throw new Error(`Trash retention must be at least 1 day, got "${days}"`);
         }
         
-        // Fallback to organization ID with formatting
-        return organizationId.split('-').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)
-        ).join(' ');
+        this.settings.trashRetentionDays = retention;
+        this.persist('dashboardSettings', this.settings);
+        return this.purgeExpiredTrash();
     }
 
-    // Get organization name from ID
-    getOrganizationName(organizationId) {
-        const orgMapping = {
-            'acme-inc': 'Acme Inc',
-            'lil-fatsos': 'Lil\'Fatsos'
+    // 'business', 'account' (sub-account) or 'organization': which default limit applies
+    getSandboxQuotaLevel(collection, owner) {
+        if (collection === 'organizationSandboxes') return 'organization';
+        return this.directory.getBusiness(owner) ? 'business' : 'account';
+    }
+
+    // Sandbox limit of an account or organization:
+    // { collection, owner, level, limit, used, remaining, overridden, full }
+    getSandboxQuota(collection, owner) {
+        const level = this.getSandboxQuotaLevel(collection, owner);
+        const overrides = (this.settings.sandboxQuotaOverrides || {})[collection] || {};
+        const overridden = Object.prototype.hasOwnProperty.call(overrides, owner);
+        const limit = overridden ? overrides[owner] : (this.settings.sandboxQuotas[level] ?? null);
+        const used = (this[collection][owner] || []).length;
+        return {
+            collection,
+            owner,
+            level,
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            overridden,
+            full: limit !== null && used >= limit
         };
-        return orgMapping[organizationId] || organizationId;
     }
 
-    // Update sandboxes display for current account
-    updateSandboxesForAccount(accountName) {
-        console.log('🔄 updateSandboxesForAccount called with accountName:', accountName);
-        console.log('🔄 Current this.currentActiveAccount:', this.currentActiveAccount);
+    // Why `adding` more sandboxes can't be created for an account/org, or null if they can.
+    // Pass `used` to count from something other than the current number of sandboxes.
+    getSandboxQuotaError(collection, owner, adding = 1, used = null) {
+        const quota = this.getSandboxQuota(collection, owner);
+        const inUse = used === null ? quota.used : used;
+        if (quota.limit === null || inUse + adding <= quota.limit) return null;
         
-        const container = document.getElementById('sandbox-list');
-        const popoverContent = document.getElementById('sandbox-popover-content');
-        
-        if (container) {
-            // Clear existing items in main container
-            container.innerHTML = '';
+        const ownerName = collection === 'organizationSandboxes' ? this.getOrganizationDisplayName(owner) : owner;
+        const reason = adding === 1
+            ? `${ownerName} has reached its limit of ${quota.limit} sandboxes`
+            : `Adding ${adding} sandboxes would take ${ownerName} over its limit of ${quota.limit} (${inUse} in use)`;
+        return `${reason}. Delete a sandbox or ask an admin to raise the limit.`;
+    }
+
+    assertSandboxQuota(collection, owner, adding = 1, used = null) {
+        const error = this.getSandboxQuotaError(collection, owner, adding, used);
+        if (error) {
+            throw new Error(error);
         }
+    }
+
+    // A limit is a whole number of sandboxes, or null for unlimited
+    normalizeSandboxQuotaLimit(limit) {
+        if (limit === null || limit === undefined || limit === '') return null;
         
-        if (popoverContent) {
-            // Clear existing sandbox items from popover (keep create and manage items)
-            const existingItems = popoverContent.querySelectorAll('.sandbox-popover-item');
-            existingItems.forEach(item => {
-                if (item.querySelector('.accountAvatar')) {
-                    item.remove();
-                }
-            });
+        const value = Number(limit);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Sandbox limit must be a whole number of 0 or more, got "${limit}"`);
         }
+        return value;
+    }
 
-        // Check if current account belongs to an organization
-        const activeAccountElement = document.getElementById('active-account');
-        const organizationId = activeAccountElement ? activeAccountElement.dataset.organization : null;
-        const actualActiveAccountName = activeAccountElement ? activeAccountElement.dataset.accountName : null;
+    // Change the default limit of a level ('business', 'account' or 'organization')
+    setSandboxQuota(level, limit) {
+        this.assertPermission('manage', 'limits');
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_SANDBOX_QUOTAS, level)) {
+            throw new Error(`Unknown sandbox limit "${level}" (expected one of: ${Object.keys(DEFAULT_SANDBOX_QUOTAS).join(', ')})`);
+        }
         
-        console.log('🔄 Active account element data:', {
-            accountName: actualActiveAccountName,
-            organizationId: organizationId
-        });
+        this.settings.sandboxQuotas = { ...this.settings.sandboxQuotas, [level]: this.normalizeSandboxQuotaLimit(limit) };
+        this.persist('dashboardSettings', this.settings);
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        return this.settings.sandboxQuotas[level];
+    }
+
+    // Give one account or organization its own limit; pass `undefined` to go back to the
+    // default. Existing sandboxes above a lowered limit are kept.
+    setSandboxQuotaOverride({ account = null, organizationId = null } = {}, limit) {
+        this.assertPermission('manage', 'limits');
+        if (!account && !organizationId) {
+            throw new Error('A sandbox limit override needs an account or an organizationId');
+        }
         
-        // Validate account name consistency
-        if (accountName !== actualActiveAccountName) {
-            console.warn('⚠️  Account name mismatch! Parameter:', accountName, 'vs DOM:', actualActiveAccountName);
+        const collection = organizationId ? 'organizationSandboxes' : 'accountSandboxes';
+        const owner = organizationId || account;
+        const overrides = { accountSandboxes: {}, organizationSandboxes: {}, ...this.settings.sandboxQuotaOverrides };
+        overrides[collection] = { ...overrides[collection] };
+        if (limit === undefined) {
+            delete overrides[collection][owner];
+        } else {
+            overrides[collection][owner] = this.normalizeSandboxQuotaLimit(limit);
         }
         
-        // Check if we're in sandbox mode
-        const isInSandboxMode = typeof window !== 'undefined' && window.isInSandboxMode;
-        const originalBusinessAccountName = typeof window !== 'undefined' ? window.originalBusinessAccountName : null;
-        const originalBusinessAccountOrganization = typeof window !== 'undefined' ? window.originalBusinessAccountOrganization : null;
+        this.settings.sandboxQuotaOverrides = overrides;
+        this.persist('dashboardSettings', this.settings);
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        return this.getSandboxQuota(collection, owner);
+    }
+
+    // "3 of 5 sandboxes" meter for a quota (see getSandboxQuota), optionally with a label
+    createSandboxQuotaMeter(quota, label = '') {
+        const meter = document.createElement('div');
+        meter.className = `sandbox-quota-meter${quota.full ? ' full' : ''}`;
+        const text = quota.limit === null ? `${quota.used} sandboxes · no limit` : `${quota.used} of ${quota.limit} sandboxes`;
         
-        console.log('🔄 Sandbox mode status:', {
-            isInSandboxMode,
-            originalBusinessAccountName,
-            originalBusinessAccountOrganization
-        });
+        if (quota.limit === null) {
+            setHtml(meter, html`<span class="sandbox-quota-text">${label ? `${label} · ` : ''}${text}</span>`);
+            return meter;
+        }
         
-        let sandboxesToShow = [];
+        const percent = quota.limit === 0 ? 100 : Math.min(100, Math.round(quota.used / quota.limit * 100));
+        setHtml(meter, html`
+            <span class="sandbox-quota-text">${label ? `${label} · ` : ''}${text}</span>
+            <div class="sandbox-quota-bar" role="meter" aria-label="${label || 'Sandboxes'}" aria-valuemin="0" aria-valuemax="${quota.limit}" aria-valuenow="${quota.used}">
+                <div class="sandbox-quota-fill" style="width: ${percent}%"></div>
+            </div>
+        `);
+        return meter;
+    }
+
+    // Expiry date `ttlDays` from `from` as an ISO string, or null for no expiry.
+    // Throws for anything other than a positive number of days.
+    getExpiryDate(ttlDays, from = new Date()) {
+        if (ttlDays === null || ttlDays === undefined || ttlDays === '') return null;
         
-        if (isInSandboxMode && originalBusinessAccountName) {
-            // In sandbox mode - always use the original business account to determine available sandboxes
-            // Don't let account switcher changes affect which sandboxes are available
-            if (originalBusinessAccountOrganization) {
-                // Original business account was part of an organization - show organization sandboxes
-                sandboxesToShow = this.getOrganizationSandboxesForOrganization(originalBusinessAccountOrganization);
-                console.log('📦 SANDBOX MODE: Showing organization sandboxes for original business account organization:', originalBusinessAccountOrganization);
-            } else {
-                // Original business account was standalone - show account sandboxes
-                sandboxesToShow = this.getSandboxesForAccount(originalBusinessAccountName);
-                console.log('📦 SANDBOX MODE: Showing account sandboxes for original business account:', originalBusinessAccountName);
-            }
-        } else {
-            // Not in sandbox mode - use CURRENT business account to determine sandboxes
-            // This is the critical path for business account isolation
-            console.log('📦 NORMAL MODE: Using current business account for sandbox isolation');
-            console.log('📦 Organization ID check:', organizationId, 'Type:', typeof organizationId);
-            
-            if (organizationId && organizationId !== 'undefined' && organizationId !== 'null') {
-                // Business account is part of a VALID organization
-                const accountSwitcherText = document.getElementById('accountSwitcherText');
-                const isViewingAllAccounts = accountSwitcherText && accountSwitcherText.textContent === 'All accounts';
-                
-                console.log('📦 Valid organization detected:', organizationId);
-                console.log('📦 Account switcher text:', accountSwitcherText?.textContent);
-                console.log('📦 Is viewing all accounts:', isViewingAllAccounts);
-                
-                if (isViewingAllAccounts) {
-                    // Show organization sandboxes when viewing "All accounts"
-                    sandboxesToShow = this.getOrganizationSandboxesForOrganization(organizationId);
-                    console.log('📦 Showing organization sandboxes for business account organization:', organizationId);
-                } else if (accountSwitcherText) {
-                    // Show account sandboxes for the specific selected sub-account
-                    const specificAccountName = accountSwitcherText.textContent.replace(' (sandbox)', '');
-                    sandboxesToShow = this.getSandboxesForAccount(specificAccountName);
-                    console.log('📦 Showing account sandboxes for selected sub-account:', specificAccountName);
-                } else {
-                    // Fallback: show account sandboxes for the business account
-                    sandboxesToShow = this.getSandboxesForAccount(accountName);
-                    console.log('📦 Showing account sandboxes for business account (fallback):', accountName);
-                }
-            } else {
-                // Business account is standalone - always show its account sandboxes
-                // This is the most important case for business account isolation
-                console.log('📦 STANDALONE ACCOUNT: No valid organization ID, treating as standalone');
-                sandboxesToShow = this.getSandboxesForAccount(accountName);
-                console.log('📦 CRITICAL: Showing account sandboxes for standalone business account:', accountName);
-            }
+        const days = Number(ttlDays);
+        if (!Number.isFinite(days) || days <= 0) {
+            throw new Error(`Sandbox expiry must be a positive number of days, got "${ttlDays}"`);
         }
+        return new Date(from.getTime() + days * MS_PER_DAY).toISOString();
+    }
+
+    // Lifetime a sandbox was given at creation, in whole days, or null if it doesn't expire
+    getSandboxTtlDays(sandbox) {
+        if (!sandbox.expiresAt || !sandbox.created) return null;
+        return Math.max(1, Math.round((new Date(sandbox.expiresAt) - new Date(sandbox.created)) / MS_PER_DAY));
+    }
+
+    // Set (or with null, remove) a sandbox's expiry, counting `ttlDays` from now
+    setSandboxExpiry(sandboxId, ttlDays) {
+        return this.updateSandbox(sandboxId, { expiresAt: this.getExpiryDate(ttlDays) });
+    }
+
+    // Where a sandbox stands: { status: 'expired' | 'expiring' | 'stale' | 'active',
+    // expiresAt, lastActivityAt, daysLeft, inactiveDays }. Activity is lastUsed, or created
+    // for sandboxes that were never entered.
+    getSandboxExpiry(sandbox, now = new Date()) {
+        const lastActivityAt = sandbox.lastUsed || sandbox.created || null;
+        const inactiveDays = lastActivityAt ? Math.floor((now - new Date(lastActivityAt)) / MS_PER_DAY) : 0;
+        const daysLeft = sandbox.expiresAt ? Math.ceil((new Date(sandbox.expiresAt) - now) / MS_PER_DAY) : null;
+        const staleDays = Number(this.settings.staleSandboxDays) || 0;
         
-        // Log the final sandboxes being shown for debugging
-        console.log('📦 Final sandboxesToShow:', sandboxesToShow.length, 'sandboxes');
-        console.log('📦 Sandbox details:', sandboxesToShow.map(s => ({ 
-            name: s.name, 
-            account: s.account, 
-            type: s.type,
-            organizationId: s.organizationId,
-            id: s.id,
-            description: s.description
-        })));
-        
-        // Populate main container
-        if (container) {
-            sandboxesToShow.forEach((sandbox, index) => {
-                const sandboxItem = this.createSandboxItem(sandbox, index);
-                container.appendChild(sandboxItem);
-            });
-            
-            // Update animation delays
-            this.updateAnimationDelays(container);
+        let status = 'active';
+        if (sandbox.expiresAt && new Date(sandbox.expiresAt) <= now) {
+            status = 'expired';
+        } else if (staleDays > 0 && inactiveDays >= staleDays) {
+            status = 'stale';
+        } else if (daysLeft !== null && daysLeft <= EXPIRY_WARNING_DAYS) {
+            status = 'expiring';
         }
+        return { status, expiresAt: sandbox.expiresAt || null, lastActivityAt, daysLeft, inactiveDays };
+    }
+
+    // Expired and stale sandboxes the cleanup would archive, without changing anything.
+    // Each entry is { collection, owner, sandbox, reason: 'expired' | 'stale', expiry }.
+    // The sandbox this browser is in is never included.
+    previewSandboxCleanup(now = new Date()) {
+        const activeId = this.session.isActive() ? this.session.state.sandboxId : null;
+        const entries = [];
         
-        // Populate sandbox popover
-        if (popoverContent) {
-            sandboxesToShow.forEach((sandbox, index) => {
-                const sandboxPopoverItem = this.createSandboxPopoverItem(sandbox, index);
-                
-                // Insert before the divider container (if it exists)
-                const dividerContainer = popoverContent.querySelector('.sandbox-popover-divider-container');
-                if (dividerContainer) {
-                    popoverContent.insertBefore(sandboxPopoverItem, dividerContainer);
-                } else {
-                    popoverContent.appendChild(sandboxPopoverItem);
-                }
+        ['accountSandboxes', 'organizationSandboxes'].forEach(collection => {
+            Object.keys(this[collection]).forEach(owner => {
+                this[collection][owner].forEach(sandbox => {
+                    if (sandbox.id === activeId) return;
+                    const expiry = this.getSandboxExpiry(sandbox, now);
+                    if (expiry.status === 'expired' || expiry.status === 'stale') {
+                        entries.push({ collection, owner, sandbox, reason: expiry.status, expiry });
+                    }
+                });
             });
-            
-            // Update animation delays for popover
-            this.updatePopoverAnimationDelays(popoverContent);
+        });
+        return entries;
+    }
+
+    // Move expired and stale sandboxes to the trash (only `sandboxIds` of them, if given).
+    // Returns the trashed records; they can be restored until the trash retention runs out.
+    cleanupSandboxes({ sandboxIds = null, now = new Date() } = {}) {
+        const entries = this.previewSandboxCleanup(now).filter(entry => !sandboxIds || sandboxIds.includes(entry.sandbox.id));
+        if (entries.length === 0) return [];
+        
+        // Picking sandboxes is the user's doing, so their role applies; the scheduled run isn't checked
+        if (sandboxIds) {
+            entries.forEach(entry => this.assertPermission('delete', this.getPermissionScope(entry.collection)));
         }
+        const ids = entries.map(entry => entry.sandbox.id);
         
-        // Determine context for logging
-        const logContext = isInSandboxMode ? 'Sandbox Mode' : 
-                          (organizationId ? 'Organization' : 'Account');
-        console.log(`Updated sandbox list - Context: ${logContext}, Sandboxes:`, sandboxesToShow);
+        const trashed = this.deleteSandboxes(ids, { reason: 'cleanup' });
+        storageLog.info(`🧹 Archived ${trashed.length} expired or stale sandbox(es)`);
+        return trashed;
     }
 
-    // Create a sandbox item element for the main list
-    createSandboxItem(sandbox, index) {
-        const item = document.createElement('div');
-        item.className = `sandbox-item ${sandbox.type}`;
-        item.style.animationDelay = `${index * 0.1}s`;
+    // Run the cleanup if cleanupIntervalDays have passed since the last run
+    runScheduledCleanup(now = new Date()) {
+        const intervalDays = Number(this.settings.cleanupIntervalDays) || 0;
+        if (intervalDays <= 0) return null;
+        
+        const lastRun = this.settings.lastCleanupAt ? new Date(this.settings.lastCleanupAt) : null;
+        if (lastRun && now - lastRun < intervalDays * MS_PER_DAY) return null;
+        
+        const trashed = this.withAuditActor(SYSTEM_AUDIT_ACTOR, () => this.cleanupSandboxes({ now }));
+        this.settings.lastCleanupAt = now.toISOString();
+        this.persist('dashboardSettings', this.settings);
+        return trashed;
+    }
 
-        // Get the parent business account color for this sandbox
-        const businessAccountColor = this.getSandboxColor(sandbox);
-        const colorHexMap = {
-            'color-1': '#8B5CF6', // purple
-            'color-2': '#EF4444', // red
-            'color-3': '#10B981', // green
-            'color-4': '#F59E0B', // amber
-            'color-5': '#3B82F6', // blue
-            'color-6': '#EC4899'  // pink
-        };
-        const hexColor = colorHexMap[businessAccountColor] || '#8B5CF6';
+    // Change when sandboxes count as stale and how often the cleanup runs (0 turns either off)
+    setCleanupSettings({ staleSandboxDays, cleanupIntervalDays } = {}) {
+        this.assertPermission('manage', 'retention');
+        const updates = { staleSandboxDays, cleanupIntervalDays };
+        Object.keys(updates).forEach(key => {
+            if (updates[key] === undefined) return;
+            const days = Number(updates[key]);
+            if (!Number.isFinite(days) || days < 0) {
+                throw new Error(`${key} must be 0 or a positive number of days, got "${updates[key]}"`);
+            }
+            this.settings[key] = days;
+        });
+        this.persist('dashboardSettings', this.settings);
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        return { staleSandboxDays: this.settings.staleSandboxDays, cleanupIntervalDays: this.settings.cleanupIntervalDays };
+    }
 
-        // Different display for organization vs account sandboxes
-        if (sandbox.type === 'organization') {
-            const accountCount = sandbox.accounts ? sandbox.accounts.length : 0;
-            item.innerHTML = `
-                <div class="sandbox-header">
-                    <div class="sandbox-icon organization-icon" style="background-color: ${hexColor}20; border: 1px solid ${hexColor}40;">
-                        <svg viewBox="0 0 16 16" width="16" height="16">
-                            <path fill-rule="evenodd" clip-rule="evenodd" d="M0 2.75C0 1.23122 1.23122 0 2.75 0H8C9.51878 0 10.75 1.23122 10.75 2.75V3C10.75 3.41421 10.4142 3.75 10 3.75C9.58579 3.75 9.25 3.41421 9.25 3V2.75C9.25 2.05964 8.69036 1.5 8 1.5H2.75C2.05964 1.5 1.5 2.05964 1.5 2.75V14.25C1.5 14.3881 1.61193 14.5 1.75 14.5H4.25C4.66421 14.5 5 14.8358 5 15.25C5 15.6642 4.66421 16 4.25 16H1.75C0.783502 16 0 15.2165 0 14.25V2.75ZM10.8525 5.864C11.0957 5.712 11.4043 5.712 11.6475 5.864L15.6475 8.364C15.8668 8.50105 16 8.74141 16 9V14.25C16 15.2165 15.2165 16 14.25 16H8.25C7.2835 16 6.5 15.2165 6.5 14.25V9C6.5 8.74141 6.63321 8.50105 6.8525 8.364L10.8525 5.864ZM8 9.41569V14.25C8 14.3881 8.11193 14.5 8.25 14.5H10.5V13C10.5 12.5858 10.8358 12.25 11.25 12.25C11.6642 12.25 12 12.5858 12 13V14.5H14.25C14.3881 14.5 14.5 14.3881 14.5 14.25V9.41569L11.25 7.38444L8 9.41569Z" fill="${hexColor}"/>
-                            <path d="M3 4.5C3 3.94772 3.44772 3.5 4 3.5C4.55228 3.5 5 3.94772 5 4.5C5 5.05228 4.55228 5.5 4 5.5C3.44772 5.5 3 5.05228 3 4.5Z" fill="${hexColor}"/>
-                            <path d="M3 8C3 7.44772 3.44772 7 4 7C4.55228 7 5 7.44772 5 8C5 8.55228 4.55228 9 4 9C3.44772 9 3 8.55228 3 8Z" fill="${hexColor}"/>
-                            <path d="M6 4.5C6 3.94772 6.44772 3.5 7 3.5C7.55228 3.5 8 3.94772 8 4.5C8 5.05228 7.55228 5.5 7 5.5C6.44772 5.5 6 5.05228 6 4.5Z" fill="${hexColor}"/>
-                            <path d="M3 11.5C3 10.9477 3.44772 10.5 4 10.5C4.55228 10.5 5 10.9477 5 11.5C5 12.0523 4.55228 12.5 4 12.5C3.44772 12.5 3 12.0523 3 11.5Z" fill="${hexColor}"/>
-                        </svg>
-                    </div>
-                    <div class="sandbox-info">
-                        <div class="sandbox-name">${sandbox.name}</div>
-                        <div class="sandbox-meta">Organization • ${accountCount} accounts</div>
-                    </div>
-                </div>
-                <div class="sandbox-accounts">
-                    ${sandbox.accounts.slice(0, 3).map(acc => `
-                        <div class="mini-account-avatar ${acc.color}" title="${acc.name}">${acc.initials}</div>
-                    `).join('')}
-                    ${accountCount > 3 ? `<div class="account-count">+${accountCount - 3}</div>` : ''}
-                </div>
-                <div class="sandbox-actions">
-                    <button class="enter-sandbox-btn" onclick="dashboard.enterSandboxMode(${JSON.stringify(sandbox).replace(/"/g, '&quot;')})">
-                        Enter
-                    </button>
-                    <button class="delete-sandbox-btn" onclick="dashboard.deleteOrganizationSandbox('${sandbox.name}', '${sandbox.organizationId}')">
-                        Delete
-                    </button>
-                </div>
-            `;
-        } else {
-            item.innerHTML = `
-                <div class="sandbox-header">
-                    <div class="sandbox-icon account-icon" style="background-color: ${hexColor}20; border: 1px solid ${hexColor}40;">
-                        <svg viewBox="0 0 24 24" width="16" height="16">
-                            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" fill="none" stroke="${hexColor}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                            <circle cx="12" cy="7" r="4" fill="none" stroke="${hexColor}" stroke-width="2"/>
-                        </svg>
-                    </div>
-                    <div class="sandbox-info">
-                        <div class="sandbox-name">${sandbox.name}</div>
-                        <div class="sandbox-meta">Account sandbox</div>
-                    </div>
-                </div>
-                <div class="sandbox-actions">
-                    <button class="enter-sandbox-btn" onclick="dashboard.enterSandboxMode(${JSON.stringify(sandbox).replace(/"/g, '&quot;')})">
-                        Enter
-                    </button>
-                    <button class="delete-sandbox-btn" onclick="dashboard.deleteSandbox('${sandbox.name}')">
-                        Delete
-                    </button>
-                </div>
-            `;
+    // Change and persist the console log level ('silent' | 'error' | 'warn' | 'info' | 'debug')
+    setLogLevel(level) {
+        this.logger.setLevel(level);
+        this.settings.logLevel = level;
+        this.persist('dashboardSettings', this.settings);
+    }
+
+    // Use the persisted log level unless the URL asked for one (?logLevel=debug)
+    applyLogLevelSetting() {
+        if (getLogLevelFromUrl() || !this.settings.logLevel) return;
+        
+        try {
+            this.logger.setLevel(this.settings.logLevel);
+        } catch (error) {
+            storageLog.warn('⚠️ Ignoring the stored log level:', error.message);
         }
+    }
 
-        return item;
+    // Whether the signed-in user may do `action` ('create' | 'edit' | 'delete' | 'enter' | 'manage')
+    // in `scope` ('account', 'organization', 'limits' or 'retention')
+    can(action, scope = 'account') {
+        return this.permissions.can(action, scope);
     }
 
-    // Get the color of a business account by name
-    getBusinessAccountColor(accountName) {
-        // Check if this is the current active account
-        const activeAccountElement = document.getElementById('active-account');
-        if (activeAccountElement && activeAccountElement.dataset.accountName === accountName) {
-            return activeAccountElement.dataset.accountColor;
+    assertPermission(action, scope = 'account') {
+        this.permissions.assert(action, scope);
+    }
+
+    // Permission scope of a sandbox collection
+    getPermissionScope(collection) {
+        return collection === 'organizationSandboxes' ? 'organization' : 'account';
+    }
+
+    // Switch the signed-in user's role (the account panel offers this for testing)
+    setUserRole(role) {
+        const previousRole = this.permissions.user.role;
+        const user = this.permissions.setRole(role);
+        this.settings.userRole = role;
+        this.persist('dashboardSettings', this.settings);
+        
+        this.updateSandboxesForAccount(this.currentActiveAccount);
+        this.emit('role:changed', { user: { ...user }, role, previousRole });
+        sessionLog.info(`👤 ${user.name} is now ${this.permissions.getRoleLabel()}`);
+        return user;
+    }
+
+    // Use the persisted role, if any
+    applyUserRoleSetting() {
+        if (!this.settings.userRole) return;
+        
+        try {
+            this.permissions.setRole(this.settings.userRole);
+        } catch (error) {
+            storageLog.warn('⚠️ Ignoring the stored role:', error.message);
         }
+    }
+
+    // Show a lasting notice that changes aren't being saved because loading failed
+    showStorageErrorNotice() {
+        const notice = document.createElement('div');
+        notice.id = 'storageErrorNotice';
+        notice.className = 'dashboard-toast show';
+        notice.setAttribute('role', 'alert');
         
-        // Check other business accounts in the nav panel
-        const businessAccounts = document.querySelectorAll('.nav-component.business-account');
-        for (const account of businessAccounts) {
-            if (account.dataset.accountName === accountName) {
-                return account.dataset.accountColor;
-            }
+        const message = document.createElement('span');
+        message.textContent = "Sandboxes couldn't be loaded, so changes won't be saved.";
+        const reloadButton = document.createElement('button');
+        reloadButton.type = 'button';
+        reloadButton.textContent = 'Reload';
+        reloadButton.addEventListener('click', () => window.location.reload());
+        notice.appendChild(message);
+        notice.appendChild(reloadButton);
+        document.body.appendChild(notice);
+    }
+
+    // Show a short-lived notice, e.g. when a link can't be followed
+    showNotice(text) {
+        let notice = document.getElementById('dashboardNotice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'dashboardNotice';
+            notice.className = 'dashboard-toast';
+            notice.setAttribute('role', 'status');
+            document.body.appendChild(notice);
         }
         
-        // Fallback to a default color
-        return 'color-1';
+        notice.textContent = text;
+        notice.classList.add('show');
+        
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => notice.classList.remove('show'), 8000);
     }
-    
-    // Get the main business account color for an organization
-    getOrganizationBusinessAccountColor(organizationId) {
-        // Find the business account that belongs to this organization
-        const businessAccounts = document.querySelectorAll('.nav-component.business-account.organization');
-        for (const account of businessAccounts) {
-            if (account.dataset.organization === organizationId) {
-                return account.dataset.accountColor;
-            }
+
+    // Show a short-lived "Deleted … Undo" notice after a delete
+    showUndoNotice(trashed, verb = 'Deleted') {
+        if (!trashed || trashed.length === 0) return;
+        
+        let notice = document.getElementById('sandboxUndoNotice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'sandboxUndoNotice';
+            notice.className = 'dashboard-toast';
+            notice.setAttribute('role', 'status');
+            document.body.appendChild(notice);
         }
         
-        // Also check if the active account belongs to this organization
-        const activeAccountElement = document.getElementById('active-account');
-        if (activeAccountElement && activeAccountElement.dataset.organization === organizationId) {
-            return activeAccountElement.dataset.accountColor;
+        notice.innerHTML = '';
+        const message = document.createElement('span');
+        message.textContent = trashed.length === 1 ? `${verb} "${trashed[0].name}"` : `${verb} ${trashed.length} sandboxes`;
+        const undoButton = document.createElement('button');
+        undoButton.type = 'button';
+        undoButton.textContent = 'Undo';
+        undoButton.addEventListener('click', () => {
+            trashed.forEach(sandbox => this.restoreSandbox(sandbox.id));
+            notice.classList.remove('show');
+        });
+        notice.appendChild(message);
+        // Undo restores, which the scheduled cleanup's notice may offer to roles that can't create
+        if (trashed.every(sandbox => this.can('create', sandbox.type === 'organization' ? 'organization' : 'account'))) {
+            notice.appendChild(undoButton);
         }
+        notice.classList.add('show');
         
-        // Fallback to a default color
-        return 'color-1';
+        clearTimeout(this.undoNoticeTimer);
+        this.undoNoticeTimer = setTimeout(() => notice.classList.remove('show'), 8000);
     }
-    
-    // Get the appropriate color for a sandbox based on its parent business account
-    getSandboxColor(sandbox) {
-        if (sandbox.type === 'organization') {
-            // For organization sandboxes, use the main business account color for that organization
-            return this.getOrganizationBusinessAccountColor(sandbox.organizationId);
-        } else {
-            // For account sandboxes, use the color of the account they belong to
-            return this.getBusinessAccountColor(sandbox.account);
+
+    // Get account statistics
+    getAccountStats(accountName) {
+        const sandboxes = this.getSandboxesForAccount(accountName);
+        return {
+            totalSandboxes: sandboxes.length,
+            recentlyUsed: sandboxes.filter(s => s.lastUsed).length,
+            createdToday: sandboxes.filter(s => {
+                const created = new Date(s.created);
+                const today = new Date();
+                return created.toDateString() === today.toDateString();
+            }).length,
+            ...this.summarizeSandboxUsage(sandboxes)
+        };
+    }
+
+    // Get organization statistics
+    getOrganizationStats(organizationId) {
+        const orgSandboxes = this.getOrganizationSandboxesForOrganization(organizationId);
+        return {
+            totalSandboxes: orgSandboxes.length,
+            recentlyUsed: orgSandboxes.filter(s => s.lastUsed).length,
+            createdToday: orgSandboxes.filter(s => {
+                const created = new Date(s.created);
+                const today = new Date();
+                return created.toDateString() === today.toDateString();
+            }).length,
+            ...this.summarizeSandboxUsage(orgSandboxes)
+        };
+    }
+
+    // Close a sandbox session (as stored by SandboxSession) into the usage history
+    recordSandboxUsage(session, exitedAt = new Date()) {
+        if (!session || !session.sandboxId || !session.enteredAt) return null;
+        
+        const entry = {
+            id: `usage-${exitedAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+            enteredAt: session.enteredAt,
+            exitedAt: exitedAt.toISOString(),
+            durationMs: Math.max(0, exitedAt.getTime() - new Date(session.enteredAt).getTime()),
+            account: session.originalAccount ? session.originalAccount.name : null
+        };
+        const sessions = this.sandboxUsage[session.sandboxId] || [];
+        this.sandboxUsage[session.sandboxId] = [...sessions, entry].slice(-MAX_USAGE_SESSIONS_PER_SANDBOX);
+        this.persist('sandboxUsage', this.sandboxUsage);
+        
+        sessionLog.debug('⏱️ Recorded sandbox session:', session.sandboxId, entry.durationMs, 'ms');
+        return entry;
+    }
+
+    // Turn dashboard events into audit log entries. Other tabs record their own
+    // operations, and a session restored by a reload isn't a new entry.
+    initializeAuditLog() {
+        const sandboxTarget = ({ sandbox, collection, owner }) => ({
+            sandboxId: sandbox.id,
+            sandboxName: sandbox.name,
+            account: collection ? (collection === 'accountSandboxes' ? owner : null) : (sandbox.account || null),
+            organizationId: collection ? (collection === 'organizationSandboxes' ? owner : null) : (sandbox.organizationId || null)
+        });
+        
+        this.on('sandbox:created', payload => this.recordAuditEntry('sandbox.created', {
+            ...sandboxTarget(payload), reason: payload.reason, after: payload.sandbox
+        }));
+        this.on('sandbox:updated', payload => this.recordAuditEntry('sandbox.updated', {
+            ...sandboxTarget(payload), before: payload.previous, after: payload.sandbox
+        }));
+        this.on('sandbox:deleted', payload => this.recordAuditEntry('sandbox.deleted', {
+            ...sandboxTarget(payload), reason: payload.reason, before: payload.sandbox
+        }));
+        this.on('sandbox:entered', payload => {
+            if (payload.remote || payload.restored) return;
+            this.recordAuditEntry('sandbox.entered', sandboxTarget(payload));
+        });
+        this.on('sandbox:exited', payload => {
+            if (payload.remote || !payload.sandbox) return;
+            this.recordAuditEntry('sandbox.exited', sandboxTarget(payload));
+        });
+        this.on('account:changed', ({ account, previousAccount, organizationId }) => {
+            // The first account of a page load isn't a switch
+            if (!previousAccount) return;
+            this.recordAuditEntry('account.switched', {
+                account,
+                organizationId: organizationId || null,
+                before: { account: previousAccount },
+                after: { account, organizationId: organizationId || null }
+            });
+        });
+        this.on('role:changed', ({ role, previousRole }) => this.recordAuditEntry('role.changed', {
+            before: { role: previousRole },
+            after: { role }
+        }));
+    }
+
+    // Attribute audit entries recorded while `task` runs to `actor` instead of the signed-in user
+    withAuditActor(actor, task) {
+        const previousActor = this.auditActor;
+        this.auditActor = actor;
+        try {
+            return task();
+        } finally {
+            this.auditActor = previousActor;
         }
     }
 
-    // Create a sandbox item element for the popover
-    createSandboxPopoverItem(sandbox, index) {
-        const sandboxItem = document.createElement('div');
-        sandboxItem.className = 'sandbox-popover-item';
-        sandboxItem.setAttribute('data-sandbox-type', sandbox.type);
-        sandboxItem.setAttribute('data-organization', sandbox.organizationId || '');
-        sandboxItem.setAttribute('data-account', sandbox.account || '');
+    // Append an entry to the audit log. There is deliberately no way to change or remove
+    // one; only the oldest entries are dropped past MAX_AUDIT_LOG_ENTRIES.
+    recordAuditEntry(action, { sandboxId = null, sandboxName = null, account = null, organizationId = null, reason = null, before = null, after = null } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(AUDIT_LOG_ACTIONS, action)) {
+            throw new Error(`Unknown audit log action "${action}" (expected one of: ${Object.keys(AUDIT_LOG_ACTIONS).join(', ')})`);
+        }
         
-        // Generate initials from sandbox name
-        const initials = sandbox.name.split(' ').map(word => word[0]).join('').substring(0, 2).toUpperCase();
+        const now = new Date();
+        const actor = this.auditActor || this.permissions.user;
+        const entry = JSON.parse(JSON.stringify({
+            id: `audit-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+            at: now.toISOString(),
+            actor: { name: actor.name, role: actor.role || null },
+            action,
+            reason,
+            sandboxId,
+            sandboxName,
+            account,
+            organizationId,
+            before,
+            after
+        }));
         
-        // Use parent business account color instead of generic colors
-        const colorClass = this.getSandboxColor(sandbox);
+        const month = entry.at.slice(0, 7);
+        this.sandboxAuditLog[month] = [...(this.sandboxAuditLog[month] || []), entry];
         
-        sandboxItem.innerHTML = `
-            <div class="icon">
-                <div class="accountAvatar ${colorClass}">${initials}</div>
-            </div>
-            <span>${sandbox.name}</span>
-        `;
+        // Drop the oldest entries, emptying the oldest months first
+        let overflow = Object.values(this.sandboxAuditLog).reduce((total, entries) => total + entries.length, 0) - MAX_AUDIT_LOG_ENTRIES;
+        for (const oldestMonth of Object.keys(this.sandboxAuditLog).sort()) {
+            if (overflow <= 0) break;
+            const dropped = Math.min(overflow, this.sandboxAuditLog[oldestMonth].length);
+            this.sandboxAuditLog[oldestMonth] = this.sandboxAuditLog[oldestMonth].slice(dropped);
+            if (this.sandboxAuditLog[oldestMonth].length === 0) {
+                delete this.sandboxAuditLog[oldestMonth];
+            }
+            overflow -= dropped;
+        }
+        
+        this.persist('sandboxAuditLog', this.sandboxAuditLog);
+        return entry;
+    }
 
-        // Add click handler for sandbox selection
-        sandboxItem.addEventListener('click', () => {
-            this.enterSandboxMode(sandbox);
-        });
+    // Audit log entries, newest first. Every filter is optional: `action`, `actor` (name),
+    // `sandboxId`, `account`, `organizationId`, `since`/`until` (dates) and a free-text `search`.
+    getAuditLog({ action = null, actor = null, sandboxId = null, account = null, organizationId = null, since = null, until = null, search = '' } = {}) {
+        const term = String(search || '').trim().toLowerCase();
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+        
+        // Newest first; entries recorded in the same millisecond keep their recorded order
+        return Object.keys(this.sandboxAuditLog)
+            .sort()
+            .flatMap(month => this.sandboxAuditLog[month])
+            .reverse()
+            .filter(entry => !action || entry.action === action)
+            .filter(entry => !actor || entry.actor.name === actor)
+            .filter(entry => !sandboxId || entry.sandboxId === sandboxId)
+            .filter(entry => !account || entry.account === account)
+            .filter(entry => !organizationId || entry.organizationId === organizationId)
+            .filter(entry => sinceTime === null || new Date(entry.at).getTime() >= sinceTime)
+            .filter(entry => untilTime === null || new Date(entry.at).getTime() <= untilTime)
+            .filter(entry => !term || [entry.actor.name, entry.sandboxId, entry.sandboxName, entry.account, entry.organizationId, entry.reason]
+                .some(text => (text || '').toLowerCase().includes(term)))
+            .sort((a, b) => b.at.localeCompare(a.at))
+            .map(entry => JSON.parse(JSON.stringify(entry)));
+    }
 
-        return sandboxItem;
+    // Audit log entries matching `filters` (see getAuditLog) as a JSON export
+    exportAuditLog(filters = {}) {
+        return {
+            format: AUDIT_LOG_EXPORT_FORMAT,
+            exportedAt: new Date().toISOString(),
+            filters,
+            entries: this.getAuditLog(filters)
+        };
     }
 
-    // Update animation delays for items
-    updateAnimationDelays(container) {
-        const items = container.querySelectorAll('.sandbox-item');
-        items.forEach((item, index) => {
-            item.style.animationDelay = `${index * 0.1}s`;
+    // Audit log entries matching `filters` as CSV, one entry per row
+    exportAuditLogToCsv(filters = {}) {
+        const rows = [AUDIT_LOG_CSV_COLUMNS.join(',')];
+        this.getAuditLog(filters).forEach(entry => {
+            const row = {
+                ...entry,
+                actor: entry.actor.name,
+                role: entry.actor.role,
+                before: entry.before ? JSON.stringify(entry.before) : '',
+                after: entry.after ? JSON.stringify(entry.after) : ''
+            };
+            rows.push(AUDIT_LOG_CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(','));
         });
+        return rows.join('\r\n');
     }
 
-    // Update animation delays for popover items
-    updatePopoverAnimationDelays(container) {
-        const items = container.querySelectorAll('.sandbox-popover-item');
-        items.forEach((item, index) => {
-            item.style.animationDelay = `${(index + 1) * 0.05}s`;
-        });
+    // Completed sessions of one sandbox, oldest first
+    getSandboxUsage(sandboxId) {
+        return (this.sandboxUsage[sandboxId] || []).map(entry => ({ ...entry }));
     }
 
-    // Enter sandbox mode
-    enterSandboxMode(sandbox) {
-        console.log('Entering sandbox mode:', sandbox.name, 'Type:', sandbox.type);
-        
-        // Update last used timestamp
-        sandbox.lastUsed = new Date().toISOString();
+    // Drop the usage history of a sandbox that no longer exists, so it isn't synced forever
+    forgetSandboxUsage(sandboxId) {
+        if (!(sandboxId in this.sandboxUsage)) return;
         
-        if (sandbox.type === 'organization') {
-            // Update organization sandboxes
-            const orgSandboxes = this.getOrganizationSandboxesForOrganization(sandbox.organizationId);
-            const sandboxIndex = orgSandboxes.findIndex(s => s.name === sandbox.name);
-            if (sandboxIndex !== -1) {
-                orgSandboxes[sandboxIndex] = sandbox;
-                this.organizationSandboxes[sandbox.organizationId] = orgSandboxes;
-                this.saveOrganizationSandboxes();
-            }
-        } else {
-            // Update account sandboxes
-            const accountSandboxes = this.getSandboxesForAccount(sandbox.account);
-            const sandboxIndex = accountSandboxes.findIndex(s => s.name === sandbox.name);
-            if (sandboxIndex !== -1) {
-                accountSandboxes[sandboxIndex] = sandbox;
-                this.accountSandboxes[sandbox.account] = accountSandboxes;
-                this.saveAccountSandboxes();
-            }
-        }
+        delete this.sandboxUsage[sandboxId];
+        this.persist('sandboxUsage', this.sandboxUsage);
+    }
 
-        // Close sandbox popover if it's open
-        if (typeof window.hideSandboxPopover === 'function') {
-            window.hideSandboxPopover();
-        }
+    // { sessions, totalDurationMs } over a list of sandboxes
+    summarizeSandboxUsage(sandboxes) {
+        return sandboxes.reduce((summary, sandbox) => {
+            (this.sandboxUsage[sandbox.id] || []).forEach(entry => {
+                summary.sessions++;
+                summary.totalDurationMs += entry.durationMs;
+            });
+            return summary;
+        }, { sessions: 0, totalDurationMs: 0 });
+    }
 
-        // Call the global enterSandboxMode function if it exists
-        if (typeof window.enterSandboxMode === 'function') {
-            window.enterSandboxMode(sandbox.name, sandbox.type, sandbox.organizationId, sandbox.account);
+    // Usage analytics for one account, one organization or (by default) every sandbox
+    // reachable from the active business account. `days` is the window of the
+    // sessions-per-day series; the other figures cover the whole history.
+    getUsageStats({ account = null, organizationId = null, days = 14 } = {}) {
+        let entries;
+        if (account) {
+            entries = (this.accountSandboxes[account] || []).map(sandbox => ({ collection: 'accountSandboxes', owner: account, ownerName: account, sandbox }));
+        } else if (organizationId) {
+            const ownerName = this.getOrganizationName(organizationId);
+            entries = (this.organizationSandboxes[organizationId] || []).map(sandbox => ({ collection: 'organizationSandboxes', owner: organizationId, ownerName, sandbox }));
+        } else {
+            entries = this.getReachableSandboxes();
         }
-
-        // Update UI to show sandbox mode
-        this.updateSandboxesForAccount(this.currentActiveAccount);
         
-        console.log('Entered sandbox mode:', sandbox.name, 'for account:', sandbox.account || 'organization');
+        const sandboxes = entries.map(({ collection, owner, ownerName, sandbox }) => {
+            const sessions = this.sandboxUsage[sandbox.id] || [];
+            return {
+                sandboxId: sandbox.id,
+                name: sandbox.name,
+                collection,
+                owner,
+                ownerName,
+                sessions: sessions.length,
+                totalDurationMs: sessions.reduce((total, entry) => total + entry.durationMs, 0),
+                lastEnteredAt: sessions.length > 0 ? sessions[sessions.length - 1].enteredAt : null,
+                lastUsed: sandbox.lastUsed || null
+            };
+        });
+        
+        // Local calendar days, oldest first, ending today
+        const dayKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const sessionsPerDay = [];
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const date = new Date();
+            date.setDate(date.getDate() - offset);
+            sessionsPerDay.push({ date: dayKey(date), sessions: 0, durationMs: 0 });
+        }
+        const dayIndex = new Map(sessionsPerDay.map((day, index) => [day.date, index]));
+        entries.forEach(({ sandbox }) => {
+            (this.sandboxUsage[sandbox.id] || []).forEach(entry => {
+                const index = dayIndex.get(dayKey(new Date(entry.enteredAt)));
+                if (index !== undefined) {
+                    sessionsPerDay[index].sessions++;
+                    sessionsPerDay[index].durationMs += entry.durationMs;
+                }
+            });
+        });
+        
+        const byOwner = new Map();
+        sandboxes.forEach(stats => {
+            const key = `${stats.collection}:${stats.owner}`;
+            if (!byOwner.has(key)) {
+                byOwner.set(key, { collection: stats.collection, owner: stats.owner, ownerName: stats.ownerName, sandboxes: 0, sessions: 0, totalDurationMs: 0 });
+            }
+            const owner = byOwner.get(key);
+            owner.sandboxes++;
+            owner.sessions += stats.sessions;
+            owner.totalDurationMs += stats.totalDurationMs;
+        });
+        
+        const sessions = sandboxes.reduce((total, stats) => total + stats.sessions, 0);
+        const totalDurationMs = sandboxes.reduce((total, stats) => total + stats.totalDurationMs, 0);
+        return {
+            generatedAt: new Date().toISOString(),
+            sessions,
+            totalDurationMs,
+            averageDurationMs: sessions > 0 ? Math.round(totalDurationMs / sessions) : 0,
+            sessionsPerDay,
+            sandboxes,
+            owners: [...byOwner.values()],
+            mostUsed: sandboxes
+                .filter(stats => stats.sessions > 0)
+                .sort((a, b) => b.totalDurationMs - a.totalDurationMs || b.sessions - a.sessions)
+                .slice(0, 5),
+            // Sandboxes entered before history was recorded still have a lastUsed date
+            neverUsed: sandboxes.filter(stats => stats.sessions === 0 && !stats.lastUsed)
+        };
     }
 
-    // Create a new sandbox for the current account
-    createSandbox(sandboxName, sandboxType = 'account') {
-        if (!this.currentActiveAccount) {
-            console.error('No active account to create sandbox for');
-            return;
-        }
+    // Every recorded session of the sandboxes in getUsageStats(scope) as CSV
+    exportUsageToCsv(scope = {}) {
+        const rows = [USAGE_CSV_COLUMNS.join(',')];
+        
+        this.getUsageStats(scope).sandboxes.forEach(stats => {
+            (this.sandboxUsage[stats.sandboxId] || []).forEach(entry => {
+                const row = {
+                    ...entry,
+                    sandboxId: stats.sandboxId,
+                    sandboxName: stats.name,
+                    type: stats.collection === 'organizationSandboxes' ? 'organization' : 'account',
+                    owner: stats.owner,
+                    durationSeconds: Math.round(entry.durationMs / 1000)
+                };
+                rows.push(USAGE_CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(','));
+            });
+        });
+        
+        return rows.join('\r\n');
+    }
 
-        if (sandboxType === 'organization') {
-            return this.createOrganizationSandbox(sandboxName);
+    // Build a versioned export of all sandboxes, or just one account or organization.
+    // An organization export also includes the account sandboxes of its member accounts.
+    exportSandboxes({ account = null, organizationId = null } = {}) {
+        let accountSandboxes = this.accountSandboxes;
+        let organizationSandboxes = this.organizationSandboxes;
+        
+        if (account) {
+            accountSandboxes = this.accountSandboxes[account] ? { [account]: this.accountSandboxes[account] } : {};
+            organizationSandboxes = {};
+        } else if (organizationId) {
+            const memberNames = this.directory.getAccounts(organizationId).map(acc => acc.name);
+            accountSandboxes = {};
+            memberNames.forEach(name => {
+                if (this.accountSandboxes[name]) accountSandboxes[name] = this.accountSandboxes[name];
+            });
+            organizationSandboxes = this.organizationSandboxes[organizationId]
+                ? { [organizationId]: this.organizationSandboxes[organizationId] }
+                : {};
         }
+        
+        return JSON.parse(JSON.stringify({
+            format: SANDBOX_EXPORT_FORMAT,
+            schemaVersion: SANDBOX_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            scope: account ? { account } : (organizationId ? { organizationId } : 'all'),
+            accountSandboxes,
+            organizationSandboxes
+        }));
+    }
 
-        const timestamp = new Date().getTime();
-        const accountSlug = this.createAccountSlug(this.currentActiveAccount);
+    // Flatten an export (see exportSandboxes) into CSV, one sandbox per row
+    exportSandboxesToCsv(scope = {}) {
+        const data = this.exportSandboxes(scope);
+        const rows = [SANDBOX_CSV_COLUMNS.join(',')];
         
-        const newSandbox = {
-            name: `${this.currentActiveAccount} - ${sandboxName}`,
-            type: sandboxType,
-            organization: null,
-            account: this.currentActiveAccount,
-            created: new Date().toISOString(),
-            lastUsed: null,
-            id: `${accountSlug}-custom-${timestamp}`,
-            description: `Custom sandbox for ${this.currentActiveAccount}: ${sandboxName}`
+        const addRows = (collection) => {
+            Object.keys(collection).forEach(owner => {
+                collection[owner].forEach(sandbox => {
+                    const row = {
+                        ...sandbox,
+                        owner,
+                        accounts: (sandbox.accounts || []).map(acc => acc.name).join('; ')
+                    };
+                    rows.push(SANDBOX_CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(','));
+                });
+            });
         };
+        addRows(data.accountSandboxes);
+        addRows(data.organizationSandboxes);
+        
+        return rows.join('\r\n');
+    }
 
-        // Add to account sandboxes
-        const accountSandboxes = this.getSandboxesForAccount(this.currentActiveAccount);
-        accountSandboxes.push(newSandbox);
-        this.accountSandboxes[this.currentActiveAccount] = accountSandboxes;
-        this.saveAccountSandboxes();
-
-        // Update UI
-        this.updateSandboxesForAccount(this.currentActiveAccount);
+    // Everything needed to look into a bug report: the buffered log entries plus a
+    // snapshot of every storage key, with sandbox names and descriptions redacted from both
+    async getDiagnostics() {
+        const storage = {};
+        // In-memory state too, for names that haven't been saved (yet)
+        const redactedText = collectRedactedDiagnosticsText(SYNCED_STORAGE_KEYS.map(key => this[key]));
+        for (const key of DIAGNOSTICS_STORAGE_KEYS) {
+            try {
+                const value = await this.storage.read(key);
+                collectRedactedDiagnosticsText(value, redactedText);
+                storage[key] = sanitizeForDiagnostics(value);
+            } catch (error) {
+                storage[key] = { error: error.message };
+            }
+        }
+        const redact = createDiagnosticsRedactor(redactedText);
         
-        console.log('Created new sandbox:', sandboxName, 'for account:', this.currentActiveAccount);
-        return newSandbox;
+        return {
+            format: 'nav-experiment-diagnostics',
+            generatedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            route: window.location.hash,
+            storageBackend: this.storage.constructor.name,
+            logLevel: this.logger.level,
+            activeAccount: this.currentActiveAccount,
+            sandboxCounts: {
+                account: Object.values(this.accountSandboxes).reduce((total, list) => total + list.length, 0),
+                organization: Object.values(this.organizationSandboxes).reduce((total, list) => total + list.length, 0)
+            },
+            syncConflicts: this.syncConflicts.length,
+            logs: this.logger.getEntries().map(entry => ({ ...entry, message: redact(entry.message) })),
+            storage
+        };
     }
 
-    // Create a new organization sandbox
-    createOrganizationSandbox(sandboxName) {
-        const activeAccountElement = document.getElementById('active-account');
-        const organizationId = activeAccountElement ? activeAccountElement.dataset.organization : null;
+    // Parse the text of a JSON or CSV export into { accountSandboxes, organizationSandboxes }.
+    // Throws with a readable message if the file isn't a sandbox export.
+    parseSandboxImport(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            throw new Error('The file is empty');
+        }
         
-        if (!organizationId || organizationId === 'undefined') {
-            console.error('🚨 Cannot create organization sandbox: Current account is not part of a valid organization. OrganizationId:', organizationId);
-            return;
+        if (!trimmed.startsWith('{')) {
+            return this.parseSandboxCsv(trimmed);
         }
-
-        const orgAccounts = this.organizationAccounts[organizationId] || [];
-        const timestamp = new Date().getTime();
         
-        // Get organization name for unique sandbox names
-        const orgName = this.getOrganizationDisplayName(organizationId);
-        const orgSlug = this.createOrganizationSlug(organizationId, orgName);
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON: ${error.message}`);
+        }
+        if (data.format !== SANDBOX_EXPORT_FORMAT) {
+            throw new Error('The file is not a sandbox export');
+        }
+        if (data.schemaVersion > SANDBOX_SCHEMA_VERSION) {
+            throw new Error(`The file uses schema v${data.schemaVersion}, newer than this dashboard supports (v${SANDBOX_SCHEMA_VERSION})`);
+        }
         
-        const newOrganizationSandbox = {
-            name: `${orgName} - ${sandboxName}`,
-            type: 'organization',
-            organizationId: organizationId,
-            accounts: orgAccounts.map(acc => ({ ...acc })), // Clone accounts
-            created: new Date().toISOString(),
-            lastUsed: null,
-            id: `${orgSlug}-custom-${timestamp}`, // Unique identifier for custom sandboxes
-            description: `Custom organization sandbox for ${orgName} (${orgAccounts.length} accounts): ${sandboxName}`
+        // Bring exports from older builds up to date with the same migrations used on startup
+        const state = {
+            accountSandboxes: data.accountSandboxes || {},
+            organizationSandboxes: data.organizationSandboxes || {}
         };
+        this.assertSandboxImportShape(state);
+        this.applySandboxMigrations(state, data.schemaVersion || 0);
+        return { accountSandboxes: state.accountSandboxes, organizationSandboxes: state.organizationSandboxes };
+    }
 
-        // Add to organization sandboxes
-        const organizationSandboxes = this.getOrganizationSandboxesForOrganization(organizationId);
-        organizationSandboxes.push(newOrganizationSandbox);
-        this.organizationSandboxes[organizationId] = organizationSandboxes;
-        this.saveOrganizationSandboxes();
-
-        // Update UI
-        this.updateSandboxesForAccount(this.currentActiveAccount);
+    // Parse CSV produced by exportSandboxesToCsv (quoted cells, "" escapes)
+    parseSandboxCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        
+        const header = rows.shift().map(column => column.trim());
+        const missingColumns = ['type', 'owner', 'name'].filter(column => !header.includes(column));
+        if (missingColumns.length > 0) {
+            throw new Error(`The CSV is missing required columns: ${missingColumns.join(', ')}`);
+        }
         
-        console.log('Created new organization sandbox:', sandboxName, 'for organization:', organizationId);
-        return newOrganizationSandbox;
+        const result = { accountSandboxes: {}, organizationSandboxes: {} };
+        rows.filter(cells => cells.some(value => value !== '')).forEach(cells => {
+            const record = {};
+            header.forEach((column, index) => {
+                record[column] = cells[index] === undefined || cells[index] === '' ? null : cells[index];
+            });
+            const owner = record.owner;
+            delete record.owner;
+            
+            if (record.type === 'organization') {
+                // Rebuild mirrored accounts from the roster so avatars keep their initials and colors
+                const roster = this.directory.getAccounts(record.organizationId);
+                const names = record.accounts ? record.accounts.split(';').map(name => name.trim()).filter(Boolean) : [];
+                record.accounts = names.map(name => ({ ...(roster.find(acc => acc.name === name) || { name, initials: name.slice(0, 2).toUpperCase(), color: 'color-1' }) }));
+                delete record.account;
+                (result.organizationSandboxes[owner] = result.organizationSandboxes[owner] || []).push(record);
+            } else {
+                delete record.accounts;
+                delete record.organizationId;
+                record.organization = null;
+                (result.accountSandboxes[owner] = result.accountSandboxes[owner] || []).push(record);
+            }
+        });
+        return result;
     }
 
-    // Delete a sandbox for the current account
-    deleteSandbox(sandboxName) {
-        if (!this.currentActiveAccount) {
-            console.error('No active account to delete sandbox from');
-            return;
+    // Throw unless each collection maps owners to lists of sandbox records. Problems
+    // within a record (a missing name, a wrong owner) are reported per record instead.
+    assertSandboxImportShape(imported) {
+        if (!imported || typeof imported !== 'object') {
+            throw new Error('The import has no sandbox collections');
         }
+        ['accountSandboxes', 'organizationSandboxes'].forEach(collection => {
+            const owners = imported[collection] || {};
+            if (typeof owners !== 'object' || Array.isArray(owners)) {
+                throw new Error(`"${collection}" must map each owner to a list of sandboxes`);
+            }
+            Object.keys(owners).forEach(owner => {
+                if (!Array.isArray(owners[owner])) {
+                    throw new Error(`"${collection}" of "${owner}" must be a list of sandboxes`);
+                }
+                const index = owners[owner].findIndex(sandbox => !sandbox || typeof sandbox !== 'object' || Array.isArray(sandbox));
+                if (index !== -1) {
+                    throw new Error(`Sandbox ${index + 1} in "${collection}" of "${owner}" is not an object`);
+                }
+            });
+        });
+    }
 
-        const accountSandboxes = this.getSandboxesForAccount(this.currentActiveAccount);
-        const filteredSandboxes = accountSandboxes.filter(sandbox => sandbox.name !== sandboxName);
+    // List the problems with one imported sandbox record (empty when valid)
+    validateSandboxRecord(sandbox, owner, collection) {
+        const errors = [];
+        if (!sandbox || typeof sandbox !== 'object') {
+            return ['Record is not an object'];
+        }
+        if (typeof sandbox.name !== 'string' || !sandbox.name.trim()) {
+            errors.push('Missing name');
+        }
+        if (typeof sandbox.id !== 'string' || !sandbox.id.trim()) {
+            errors.push('Missing id');
+        }
+        if (sandbox.created && isNaN(new Date(sandbox.created).getTime())) {
+            errors.push(`Invalid created date "${sandbox.created}"`);
+        }
+        if (sandbox.expiresAt && isNaN(new Date(sandbox.expiresAt).getTime())) {
+            errors.push(`Invalid expiry date "${sandbox.expiresAt}"`);
+        }
         
-        this.accountSandboxes[this.currentActiveAccount] = filteredSandboxes;
-        this.saveAccountSandboxes();
+        if (collection === 'organizationSandboxes') {
+            if (sandbox.type !== 'organization') {
+                errors.push(`Expected type "organization", got "${sandbox.type}"`);
+            }
+            if (!isValidOrganizationId(owner)) {
+                errors.push(`Invalid organization "${owner}"`);
+            } else if (sandbox.organizationId !== owner) {
+                errors.push(`organizationId "${sandbox.organizationId}" does not match "${owner}"`);
+            }
+            if (!Array.isArray(sandbox.accounts)) {
+                errors.push('Missing accounts list');
+            }
+        } else {
+            if (sandbox.type !== 'account') {
+                errors.push(`Expected type "account", got "${sandbox.type}"`);
+            }
+            if (sandbox.account !== owner) {
+                errors.push(`Belongs to "${sandbox.account}" but is listed under "${owner}"`);
+            }
+        }
+        return errors;
+    }
 
-        // Update UI
-        this.updateSandboxesForAccount(this.currentActiveAccount);
+    // Sort imported records into new, duplicate (same id, or same name in the
+    // same account/org) and invalid, without changing anything
+    previewSandboxImport(imported) {
+        this.assertSandboxImportShape(imported);
+        const preview = { total: 0, valid: [], duplicates: [], invalid: [] };
+        const existingById = new Map();
+        ['accountSandboxes', 'organizationSandboxes'].forEach(collection => {
+            Object.keys(this[collection]).forEach(owner => {
+                this[collection][owner].forEach(sandbox => existingById.set(sandbox.id, { owner, sandbox }));
+            });
+        });
+        const idsInFile = new Set();
         
-        console.log('Deleted sandbox:', sandboxName, 'from account:', this.currentActiveAccount);
+        ['accountSandboxes', 'organizationSandboxes'].forEach(collection => {
+            Object.keys(imported[collection] || {}).forEach(owner => {
+                (imported[collection][owner] || []).forEach(sandbox => {
+                    preview.total++;
+                    const entry = { collection, owner, sandbox };
+                    const errors = this.validateSandboxRecord(sandbox, owner, collection);
+                    
+                    if (errors.length === 0 && idsInFile.has(sandbox.id)) {
+                        errors.push(`Id "${sandbox.id}" appears more than once in the file`);
+                    }
+                    if (errors.length > 0) {
+                        preview.invalid.push({ ...entry, errors });
+                        return;
+                    }
+                    idsInFile.add(sandbox.id);
+                    
+                    const sameId = existingById.get(sandbox.id);
+                    const sameName = (this[collection][owner] || []).find(existing => existing.name === sandbox.name);
+                    if (sameId) {
+                        preview.duplicates.push({ ...entry, matchedBy: 'id', existing: sameId.sandbox, existingOwner: sameId.owner });
+                    } else if (sameName) {
+                        preview.duplicates.push({ ...entry, matchedBy: 'name', existing: sameName, existingOwner: owner });
+                    } else {
+                        preview.valid.push(entry);
+                    }
+                });
+            });
+        });
+        return preview;
     }
 
-    // Delete an organization sandbox
-    deleteOrganizationSandbox(sandboxName, organizationId) {
-        const organizationSandboxes = this.getOrganizationSandboxesForOrganization(organizationId);
-        const filteredSandboxes = organizationSandboxes.filter(sandbox => sandbox.name !== sandboxName);
+    // Import parsed sandboxes. 'merge' adds new records and skips duplicates;
+    // 'replace' swaps the sandbox list of every account/org in the file for the imported one,
+    // moving the sandboxes it drops to the trash so a bad import can be undone.
+    importSandboxes(imported, { mode = 'merge' } = {}) {
+        const preview = this.previewSandboxImport(imported);
+        const result = { mode, added: 0, replacedOwners: [], trashed: 0, skipped: preview.duplicates.length, invalid: preview.invalid.length };
+        const removed = [];
+        
+        // Refuse the whole import if the user's role doesn't allow it or it would take an
+        // account or organization over its limit. Replacing an owner's sandboxes starts
+        // its count from zero.
+        const incoming = mode === 'replace'
+            ? [...preview.valid, ...preview.duplicates.filter(entry => entry.existingOwner === entry.owner)]
+            : preview.valid;
+        const counts = new Map();
+        incoming.forEach(({ collection, owner }) => {
+            const key = JSON.stringify([collection, owner]);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        counts.forEach((count, key) => {
+            const [collection, owner] = JSON.parse(key);
+            this.assertPermission('create', this.getPermissionScope(collection));
+            if (mode === 'replace') {
+                this.assertPermission('delete', this.getPermissionScope(collection));
+            }
+            this.assertSandboxQuota(collection, owner, count, mode === 'replace' ? 0 : null);
+        });
+        
+        if (mode === 'replace') {
+            const replacement = { accountSandboxes: {}, organizationSandboxes: {} };
+            // Duplicates are kept in replace mode unless their id lives under a different owner
+            const keep = [...preview.valid, ...preview.duplicates.filter(entry => entry.existingOwner === entry.owner)];
+            keep.forEach(({ collection, owner, sandbox }) => {
+                (replacement[collection][owner] = replacement[collection][owner] || []).push({ ...sandbox });
+            });
+            ['accountSandboxes', 'organizationSandboxes'].forEach(collection => {
+                Object.keys(replacement[collection]).forEach(owner => {
+                    const keptIds = new Set(replacement[collection][owner].map(sandbox => sandbox.id));
+                    const dropped = (this[collection][owner] || []).filter(sandbox => !keptIds.has(sandbox.id));
+                    removed.push({ collection, owner, sandboxes: this.moveToTrash(collection, owner, dropped) });
+                    this[collection][owner] = replacement[collection][owner];
+                    result.replacedOwners.push(owner);
+                });
+            });
+            result.trashed = removed.reduce((count, group) => count + group.sandboxes.length, 0);
+            result.added = keep.length;
+            result.skipped = preview.duplicates.length - (keep.length - preview.valid.length);
+        } else if (mode === 'merge') {
+            preview.valid.forEach(({ collection, owner, sandbox }) => {
+                this[collection][owner] = this[collection][owner] || [];
+                this[collection][owner].push({ ...sandbox });
+            });
+            result.added = preview.valid.length;
+        } else {
+            throw new Error(`Unknown import mode "${mode}"`);
+        }
         
-        this.organizationSandboxes[organizationId] = filteredSandboxes;
+        this.saveAccountSandboxes();
         this.saveOrganizationSandboxes();
-
-        // Update UI
         this.updateSandboxesForAccount(this.currentActiveAccount);
+        removed.forEach(({ collection, owner, sandboxes }) => this.emitDeleted(collection, owner, sandboxes, { reason: 'import' }));
+        preview.valid.forEach(({ collection, owner, sandbox }) => this.emitCreated(collection, owner, [sandbox], 'import'));
         
-        console.log('Deleted organization sandbox:', sandboxName, 'from organization:', organizationId);
-    }
-
-    // Get account statistics
-    getAccountStats(accountName) {
-        const sandboxes = this.getSandboxesForAccount(accountName);
-        return {
-            totalSandboxes: sandboxes.length,
-            recentlyUsed: sandboxes.filter(s => s.lastUsed).length,
-            createdToday: sandboxes.filter(s => {
-                const created = new Date(s.created);
-                const today = new Date();
-                return created.toDateString() === today.toDateString();
-            }).length
-        };
-    }
-
-    // Get organization statistics
-    getOrganizationStats(organizationId) {
-        const orgSandboxes = this.getOrganizationSandboxesForOrganization(organizationId);
-        return {
-            totalSandboxes: orgSandboxes.length,
-            recentlyUsed: orgSandboxes.filter(s => s.lastUsed).length,
-            createdToday: orgSandboxes.filter(s => {
-                const created = new Date(s.created);
-                const today = new Date();
-                return created.toDateString() === today.toDateString();
-            }).length
-        };
+        storageLog.info(`Imported sandboxes (${mode}):`, result);
+        return result;
     }
 
     togglePanel(panelId) {
@@ -985,6 +4414,7 @@ class Dashboard {
             
             // Trigger animation
             this.animatePanel(panel, true);
+            this.emit('panel:toggled', { panelId, expanded: true });
         }
     }
 
@@ -998,14 +4428,19 @@ class Dashboard {
             
             // Trigger animation
             this.animatePanel(panel, false);
+            this.emit('panel:toggled', { panelId, expanded: false });
         }
     }
 
     closeAllPanels() {
         this.panels.forEach(panel => {
+            const wasExpanded = panel.classList.contains('expanded');
             panel.classList.remove('expanded');
             panel.setAttribute('aria-expanded', 'false');
             this.animatePanel(panel, false);
+            if (wasExpanded) {
+                this.emit('panel:toggled', { panelId: panel.id, expanded: false });
+            }
         });
         this.currentOpenPanel = null;
         this.previousNavPanelState = null;
@@ -1046,9 +4481,9 @@ function togglePanel(panelId) {
 }
 
 // Global functions for sandbox management
-function createSandbox(sandboxName, sandboxType = 'account') {
+function createSandbox(nameOrOptions, sandboxType = 'account') {
     if (window.dashboard) {
-        return window.dashboard.createSandbox(sandboxName, sandboxType);
+        return window.dashboard.createSandbox(nameOrOptions, sandboxType);
     }
 }
 
@@ -1102,7 +4537,7 @@ function debugSandboxIsolation() {
     });
     
     if (brokenOrgSandboxes > 0) {
-        console.log(`🚨 Found ${brokenOrgSandboxes} broken organization sandboxes! Run cleanupBrokenOrganizationSandboxes() to fix.`);
+        console.log(`🚨 Found ${brokenOrgSandboxes} broken organization sandboxes! Run dashboard.runMigrations({ fromVersion: 0 }) to move them to their organization.`);
     }
     
     // Show what sandboxes would be displayed for current account
@@ -1114,94 +4549,32 @@ function debugSandboxIsolation() {
         id: s.id
     })));
     
-    console.log('🔍 === END DEBUG ===');
-}
-
-// Global cleanup function for broken organization sandboxes
-function cleanupBrokenOrganizationSandboxes() {
-    if (!window.dashboard) {
-        console.error('Dashboard not available');
-        return;
-    }
-    return window.dashboard.cleanupBrokenOrganizationSandboxes();
-}
-
-// Global function to upgrade existing sandboxes to new naming system
-function upgradeExistingSandboxes() {
-    if (!window.dashboard) {
-        console.error('Dashboard not available');
-        return;
-    }
-    
-    const activeAccount = document.getElementById('active-account');
-    const accountName = activeAccount ? activeAccount.dataset.accountName : null;
-    
-    if (!accountName) {
-        console.error('No active account found');
-        return;
-    }
-    
-    console.log(`🔄 Upgrading existing sandboxes for: ${accountName}`);
-    
-    const existingSandboxes = window.dashboard.accountSandboxes[accountName] || [];
-    
-    if (existingSandboxes.length === 0) {
-        console.log('No existing sandboxes to upgrade, creating new defaults...');
-        return recreateDefaultSandboxes();
+    const audit = window.dashboard.auditIsolation();
+    if (audit.violations.length > 0) {
+        console.log(`🚨 Isolation audit: ${audit.summary.errors} errors, ${audit.summary.warnings} warnings`);
+        console.table(audit.violations);
+    } else {
+        console.log('✅ Isolation audit found no problems');
     }
     
-    console.log(`Found ${existingSandboxes.length} existing sandboxes to upgrade:`, 
-                existingSandboxes.map(s => s.name));
-    
-    // Clear old sandboxes and create new enhanced ones
-    window.dashboard.accountSandboxes[accountName] = [];
-    
-    // Create new enhanced default sandboxes
-    const newSandboxes = window.dashboard.getDefaultSandboxes(accountName);
-    window.dashboard.accountSandboxes[accountName] = newSandboxes;
-    window.dashboard.saveAccountSandboxes();
-    
-    console.log(`✅ Upgraded to ${newSandboxes.length} enhanced sandboxes:`, 
-                newSandboxes.map(s => s.name));
-    
-    // Refresh the UI
-    window.dashboard.updateSandboxesForAccount(accountName);
-    
-    return newSandboxes;
+    console.log('🔍 === END DEBUG ===');
+    return audit;
 }
 
-// Global function to recreate default sandboxes for current account
-function recreateDefaultSandboxes() {
+// Global function to preview what the schema migrations would change, without saving.
+// Pass { fromVersion } to preview re-running steps on already migrated data.
+async function previewSandboxMigrations(options = {}) {
     if (!window.dashboard) {
         console.error('Dashboard not available');
         return;
     }
     
-    const activeAccount = document.getElementById('active-account');
-    const accountName = activeAccount ? activeAccount.dataset.accountName : null;
-    
-    if (!accountName) {
-        console.error('No active account found');
-        return;
+    const report = await window.dashboard.runMigrations({ ...options, dryRun: true });
+    console.log(`🔧 Migration dry run: schema v${report.fromVersion} → v${report.toVersion}, ${report.changes.length} changes`);
+    if (report.changes.length > 0) {
+        console.table(report.changes);
     }
-    
-    console.log(`🔄 Recreating default sandboxes for: ${accountName}`);
-    
-    // Clear existing sandboxes for this account
-    window.dashboard.accountSandboxes[accountName] = [];
-    
-    // Force recreation of default sandboxes
-    const newSandboxes = window.dashboard.getDefaultSandboxes(accountName);
-    window.dashboard.accountSandboxes[accountName] = newSandboxes;
-    window.dashboard.saveAccountSandboxes();
-    
-    console.log(`✅ Created ${newSandboxes.length} default sandboxes for ${accountName}:`, 
-                newSandboxes.map(s => s.name));
-    
-    // Refresh the UI
-    window.dashboard.updateSandboxesForAccount(accountName);
-    
-    return newSandboxes;
+    return report;
 }
 
 // Global function to show examples of the new naming system
@@ -1234,22 +4607,36 @@ function showSandboxNamingExamples() {
     console.log('🎯 === END EXAMPLES ===');
 }
 
+// Structured isolation report for every stored account and organization
+function auditIsolation() {
+    if (!window.dashboard) {
+        console.error('Dashboard not available');
+        return null;
+    }
+    return window.dashboard.auditIsolation();
+}
+
 // Make debugging functions globally available
 window.debugSandboxIsolation = debugSandboxIsolation;
-window.cleanupBrokenOrganizationSandboxes = cleanupBrokenOrganizationSandboxes;
+window.auditIsolation = auditIsolation;
 window.showSandboxNamingExamples = showSandboxNamingExamples;
-window.recreateDefaultSandboxes = recreateDefaultSandboxes;
-window.upgradeExistingSandboxes = upgradeExistingSandboxes;
+window.previewSandboxMigrations = previewSandboxMigrations;
+
+function deleteSandbox(sandboxId) {
+    if (window.dashboard) {
+        return window.dashboard.deleteSandbox(sandboxId);
+    }
+}
 
-function deleteSandbox(sandboxName) {
+function deleteOrganizationSandbox(sandboxId, organizationId) {
     if (window.dashboard) {
-        return window.dashboard.deleteSandbox(sandboxName);
+        return window.dashboard.deleteOrganizationSandbox(sandboxId, organizationId);
     }
 }
 
-function deleteOrganizationSandbox(sandboxName, organizationId) {
+function renameSandbox(sandboxId, newName) {
     if (window.dashboard) {
-        return window.dashboard.deleteOrganizationSandbox(sandboxName, organizationId);
+        return window.dashboard.renameSandbox(sandboxId, newName);
     }
 }
 
@@ -1266,8 +4653,10 @@ function getOrganizationStats(organizationId) {
 }
 
 // Initialize dashboard when DOM is loaded
+// Pages can pick a storage backend by defining `window.dashboardOptions`
+// before this script loads, e.g. { storage: 'http', storageUrl: '...' }
 document.addEventListener('DOMContentLoaded', () => {
-    window.dashboard = new Dashboard();
+    window.dashboard = new Dashboard(window.dashboardOptions);
     
     // Add some demo functionality for nav items
     const navItems = document.querySelectorAll('.nav-item');
@@ -1283,10 +4672,11 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Get the text content for demo purposes
             const text = item.querySelector('.nav-text')?.textContent || 'Unknown';
-            console.log(`Clicked on: ${text}`);
+            renderLog.debug(`Clicked on: ${text}`);
             
             // Update main content
             updateMainContent(text);
+            window.dashboard.router.update();
         });
     });
 
@@ -1294,22 +4684,36 @@ document.addEventListener('DOMContentLoaded', () => {
     const createSandboxButton = document.getElementById('create-sandbox-btn');
     if (createSandboxButton) {
         createSandboxButton.addEventListener('click', () => {
-            const sandboxName = prompt('Enter sandbox name:');
-            if (sandboxName) {
-                window.dashboard.createSandbox(sandboxName);
+            if (typeof window.createNewSandbox === 'function') {
+                window.createNewSandbox('account');
             }
         });
     }
 
-    // Log current account on page load
-    const activeAccount = document.getElementById('active-account');
-    if (activeAccount) {
-        const accountName = activeAccount.dataset.accountName;
-        const stats = window.dashboard.getAccountStats(accountName);
-        console.log(`Active account: ${accountName}`, stats);
-    }
+    // Log current account once sandboxes have loaded
+    window.dashboard.ready.then(() => {
+        const activeAccount = document.getElementById('active-account');
+        if (activeAccount) {
+            const accountName = activeAccount.dataset.accountName;
+            const stats = window.dashboard.getAccountStats(accountName);
+            renderLog.debug(`Active account: ${accountName}`, stats);
+        }
+    });
 });
 
+// Offer text content to the user as a file download
+function downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // Demo function to update main content
 function updateMainContent(selectedItem) {
     const mainContent = document.querySelector('.content-wrapper');
@@ -1320,7 +4724,7 @@ function updateMainContent(selectedItem) {
         
         const statusMessage = document.createElement('div');
         statusMessage.className = 'status-message';
-        statusMessage.innerHTML = `
+        setHtml(statusMessage, html`
             <div style="
                 background: #f0f8ff;
                 padding: 16px;
@@ -1333,7 +4737,7 @@ function updateMainContent(selectedItem) {
                 <p><strong>Active Account:</strong> ${currentAccount}</p>
                 <p><strong>Account Sandboxes:</strong> ${accountStats.totalSandboxes || 0} total, ${accountStats.recentlyUsed || 0} recently used</p>
             </div>
-        `;
+        `);
         
         // Remove existing status message
         const existingStatus = mainContent.querySelector('.status-message');
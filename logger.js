@@ -0,0 +1,108 @@
+// Leveled, namespaced logging for the dashboard (storage, isolation, render, session, ...).
+// Nothing reaches the console unless a level is picked, either with ?logLevel=debug in
+// the URL or the persisted setting (dashboard.setLogLevel). Entries at the buffer level
+// ('info' by default) and above, plus whatever reaches the console, also go to an in-memory
+// ring buffer, which "Download diagnostics" exports.
+
+// Ordered from quietest to noisiest
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+const DEFAULT_LOG_BUFFER_SIZE = 500;
+const DEFAULT_LOG_BUFFER_LEVEL = 'info';
+
+class DashboardLogger {
+    constructor({ level = 'silent', bufferLevel = DEFAULT_LOG_BUFFER_LEVEL, bufferSize = DEFAULT_LOG_BUFFER_SIZE } = {}) {
+        this.level = 'silent';
+        this.setLevel(level);
+        if (!LOG_LEVELS.includes(bufferLevel)) {
+            throw new Error(`Unknown log level "${bufferLevel}" (expected one of: ${LOG_LEVELS.join(', ')})`);
+        }
+        this.bufferLevel = bufferLevel;
+        this.bufferSize = bufferSize;
+        this.entries = [];
+        this.namespaces = new Map();
+    }
+
+    setLevel(level) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level "${level}" (expected one of: ${LOG_LEVELS.join(', ')})`);
+        }
+        this.level = level;
+    }
+
+    // Whether entries at `level` are written to the console
+    isEnabled(level) {
+        return level !== 'silent' && LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+    }
+
+    // Whether entries at `level` are kept for diagnostics: the buffer level and above,
+    // and anything shown on the console
+    isBuffered(level) {
+        return this.isEnabled(level) || LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.bufferLevel);
+    }
+
+    // Logger bound to one namespace: { error, warn, info, debug }
+    namespace(name) {
+        if (!this.namespaces.has(name)) {
+            const log = {};
+            LOG_LEVELS.slice(1).forEach(level => {
+                log[level] = (...args) => this.write(level, name, args);
+            });
+            this.namespaces.set(name, log);
+        }
+        return this.namespaces.get(name);
+    }
+
+    write(level, namespace, args) {
+        // Debug entries fire on every render; skip them before paying for formatting
+        if (!this.isBuffered(level)) return;
+
+        // Format now, so the buffer shows arguments as they were when logged and holds no live objects
+        this.entries.push({ time: Date.now(), level, namespace, message: args.map(formatLogArgument).join(' ') });
+        if (this.entries.length > this.bufferSize) {
+            this.entries.splice(0, this.entries.length - this.bufferSize);
+        }
+
+        if (this.isEnabled(level)) {
+            // console.debug is hidden by default in most browsers
+            const method = level === 'debug' ? 'log' : level;
+            console[method](`[${namespace}]`, ...args);
+        }
+    }
+
+    // Buffered entries, oldest first, with their arguments flattened to text
+    getEntries() {
+        return this.entries.map(entry => ({
+            time: new Date(entry.time).toISOString(),
+            level: entry.level,
+            namespace: entry.namespace,
+            message: entry.message
+        }));
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+function formatLogArgument(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return value.stack || `${value.name}: ${value.message}`;
+    }
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+// Level requested with ?logLevel=<level>, or null when absent or unknown
+function getLogLevelFromUrl(search = window.location.search) {
+    const level = new URLSearchParams(search).get('logLevel');
+    return LOG_LEVELS.includes(level) ? level : null;
+}
+
+// Shared logger instance, created before dashboard.js so early storage logs are captured
+window.dashboardLogger = new DashboardLogger({ level: getLogLevelFromUrl() || 'silent' });
@@ -0,0 +1,77 @@
+// Minimal mock sandbox service for HttpStorageAdapter (no dependencies).
+// Run with `node mock-sandbox-server.js [port]`, then load dashboard.html with
+// window.dashboardOptions = { storage: 'http', storageUrl: 'http://localhost:4000/storage' }
+// It also serves the organization directory fixture at /directory, for
+// window.organizationDirectoryOptions = { url: 'http://localhost:4000/directory' }
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const port = Number(process.argv[2]) || 4000;
+const store = new Map();
+
+const server = http.createServer((request, response) => {
+    // Allow the dashboard to be served from file:// or any local dev server
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        return response.end();
+    }
+
+    if (request.url === '/directory' && request.method === 'GET') {
+        // Re-read on every request so edits to the fixture show up on reload
+        const directory = fs.readFileSync(path.join(__dirname, 'organizations.json'), 'utf8');
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        return response.end(directory);
+    }
+
+    const match = request.url.match(/^\/storage\/([^/?]+)$/);
+    if (!match) {
+        response.writeHead(404);
+        return response.end();
+    }
+    const key = decodeURIComponent(match[1]);
+
+    if (request.method === 'GET') {
+        if (!store.has(key)) {
+            response.writeHead(404);
+            return response.end();
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        return response.end(store.get(key));
+    }
+
+    if (request.method === 'PUT') {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                JSON.parse(body);
+            } catch (error) {
+                response.writeHead(400);
+                return response.end('Invalid JSON');
+            }
+            store.set(key, body);
+            response.writeHead(204);
+            response.end();
+        });
+        return;
+    }
+
+    if (request.method === 'DELETE') {
+        const existed = store.delete(key);
+        response.writeHead(existed ? 204 : 404);
+        return response.end();
+    }
+
+    response.writeHead(405);
+    response.end();
+});
+
+server.listen(port, () => {
+    console.log(`Mock sandbox storage listening on http://localhost:${port}/storage`);
+    console.log(`Organization directory at http://localhost:${port}/directory`);
+});
@@ -0,0 +1,143 @@
+// Organization directory - the one place that knows which businesses, organizations
+// and sub-accounts exist. dashboard.js and dashboard.html both query it.
+
+const directoryLog = window.dashboardLogger.namespace('directory');
+
+// Loads the directory from a JSON fixture or a local endpoint serving the same shape:
+// { businesses: [{ name, initials, color, organizationId? }],
+//   organizations: [{ id, name, accounts: [{ name, initials, color }] }] }
+class OrganizationDirectory {
+    constructor(options = {}) {
+        this.url = options.url || 'organizations.json';
+        // Used when the fetch fails (organizations.js defines it for file:// pages)
+        this.fallbackData = options.fallbackData || window.organizationDirectoryFallback || null;
+        this.businesses = [];
+        this.organizations = [];
+        this.isLoaded = false;
+        this.listeners = new Set();
+
+        // Pass `data` to skip the fetch (e.g. in tests or pages that embed the directory)
+        this.ready = options.data ? Promise.resolve(this.setData(options.data)) : this.load();
+    }
+
+    // Fetch the directory from `url`; on failure use the bundled fallback, or stay empty
+    async load(url = this.url) {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`GET ${url} failed with ${response.status}`);
+            }
+            this.setData(await response.json());
+            directoryLog.info(`🏢 Loaded organization directory from ${url}`);
+        } catch (error) {
+            if (this.fallbackData) {
+                directoryLog.warn(`⚠️  Could not load the organization directory from ${url}, using the bundled copy:`, error);
+                this.setData(this.fallbackData);
+            } else {
+                directoryLog.error(`🚨 Could not load the organization directory from ${url}. Serve the dashboard over http(s) or pass dashboardOptions.directory.`, error);
+                this.setData({ businesses: [], organizations: [] });
+            }
+        }
+        return this;
+    }
+
+    // Replace the directory contents and notify subscribers
+    setData(data) {
+        if (!data || !Array.isArray(data.businesses) || !Array.isArray(data.organizations)) {
+            throw new Error('Organization directory needs "businesses" and "organizations" arrays');
+        }
+
+        this.businesses = data.businesses.map(business => ({ ...business }));
+        this.organizations = data.organizations.map(organization => ({
+            ...organization,
+            accounts: (organization.accounts || []).map(account => ({ ...account }))
+        }));
+        this.isLoaded = true;
+        this.listeners.forEach(listener => listener(this));
+        return this;
+    }
+
+    // Call `callback(directory)` whenever the directory is (re)loaded
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    // Top-level business accounts shown in the account panel
+    getBusinesses() {
+        return this.businesses.map(business => ({ ...business }));
+    }
+
+    getBusiness(name) {
+        return this.businesses.find(business => business.name === name) || null;
+    }
+
+    getOrganizations() {
+        return this.organizations.map(organization => ({ ...organization, accounts: this.getAccounts(organization.id) }));
+    }
+
+    getOrganization(organizationId) {
+        return this.organizations.find(organization => organization.id === organizationId) || null;
+    }
+
+    // Display name of an organization; unknown ids are title-cased ("acme-inc" -> "Acme Inc")
+    getOrganizationName(organizationId) {
+        const organization = this.getOrganization(organizationId);
+        if (organization) {
+            return organization.name;
+        }
+
+        return String(organizationId || '').split('-').map(word =>
+            word.charAt(0).toUpperCase() + word.slice(1)
+        ).join(' ');
+    }
+
+    // Sub-accounts of an organization (copies, so callers can snapshot them safely)
+    getAccounts(organizationId) {
+        const organization = this.getOrganization(organizationId);
+        return organization ? organization.accounts.map(account => ({ ...account })) : [];
+    }
+
+    // { organizationId: [accounts] } for every organization
+    getRoster() {
+        const roster = {};
+        this.organizations.forEach(organization => {
+            roster[organization.id] = this.getAccounts(organization.id);
+        });
+        return roster;
+    }
+
+    // Organization a sub-account belongs to, or null
+    getOrganizationIdForAccount(accountName) {
+        const organization = this.organizations.find(candidate =>
+            candidate.accounts.some(account => account.name === accountName));
+        return organization ? organization.id : null;
+    }
+
+    // Color class of a business or sub-account
+    getAccountColor(accountName) {
+        const business = this.getBusiness(accountName);
+        if (business) {
+            return business.color;
+        }
+
+        for (const organization of this.organizations) {
+            const account = organization.accounts.find(candidate => candidate.name === accountName);
+            if (account) {
+                return account.color;
+            }
+        }
+
+        return 'color-1';
+    }
+
+    // Color class of the business account that owns an organization
+    getOrganizationColor(organizationId) {
+        const business = this.businesses.find(candidate => candidate.organizationId === organizationId);
+        return business ? business.color : 'color-1';
+    }
+}
+
+// Shared directory instance. Pages can set window.organizationDirectoryOptions
+// (e.g. { url: 'http://localhost:4000/directory' }) before this script loads.
+window.organizationDirectory = new OrganizationDirectory(window.organizationDirectoryOptions);
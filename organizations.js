@@ -0,0 +1,103 @@
+// Generated from organizations.json by `npm run build:directory`. Don't edit by hand.
+// OrganizationDirectory falls back to it when the fixture can't be fetched, e.g. when
+// dashboard.html is opened from file://.
+window.organizationDirectoryFallback = {
+    "businesses": [
+        {
+            "name": "Acme, Inc.",
+            "initials": "AI",
+            "color": "color-1",
+            "organizationId": "acme-inc"
+        },
+        {
+            "name": "Cactus Practice",
+            "initials": "CP",
+            "color": "color-2"
+        },
+        {
+            "name": "Lil'Fatsos",
+            "initials": "LF",
+            "color": "color-3",
+            "organizationId": "lil-fatsos"
+        }
+    ],
+    "organizations": [
+        {
+            "id": "acme-inc",
+            "name": "Acme Inc",
+            "accounts": [
+                {
+                    "name": "Acme Eats US",
+                    "initials": "AE",
+                    "color": "color-1"
+                },
+                {
+                    "name": "Acme Eats UK",
+                    "initials": "AE",
+                    "color": "color-2"
+                },
+                {
+                    "name": "Acme Deliveries US",
+                    "initials": "AD",
+                    "color": "color-3"
+                },
+                {
+                    "name": "Acme Deliveries Canada",
+                    "initials": "AD",
+                    "color": "color-4"
+                },
+                {
+                    "name": "Acme Rides US",
+                    "initials": "AR",
+                    "color": "color-5"
+                },
+                {
+                    "name": "Acme Rides Europe",
+                    "initials": "AR",
+                    "color": "color-6"
+                },
+                {
+                    "name": "Acme Financial Services Corporation International Holdings Limited",
+                    "initials": "AF",
+                    "color": "color-1"
+                },
+                {
+                    "name": "Acme Technology Division",
+                    "initials": "AT",
+                    "color": "color-2"
+                },
+                {
+                    "name": "Acme Logistics Asia",
+                    "initials": "AL",
+                    "color": "color-3"
+                }
+            ]
+        },
+        {
+            "id": "lil-fatsos",
+            "name": "Lil'Fatsos",
+            "accounts": [
+                {
+                    "name": "Lil'Fatsos Downtown",
+                    "initials": "LD",
+                    "color": "color-1"
+                },
+                {
+                    "name": "Lil'Fatsos Midtown",
+                    "initials": "LM",
+                    "color": "color-2"
+                },
+                {
+                    "name": "Lil'Fatsos Westside",
+                    "initials": "LW",
+                    "color": "color-3"
+                },
+                {
+                    "name": "Lil'Fatsos Airport",
+                    "initials": "LA",
+                    "color": "color-4"
+                }
+            ]
+        }
+    ]
+};
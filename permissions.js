@@ -0,0 +1,90 @@
+// Roles and sandbox permissions of the signed-in user. dashboard.js asks can(action, scope)
+// before creating, editing, deleting or entering a sandbox and before changing sandbox limits, and
+// dashboard.html hides or disables the controls the role doesn't allow. The role can be
+// switched from the account panel, so every role can be tried out in the prototype.
+
+// What each role may do, as `${scope}:${action}` where scope is 'account' or 'organization'
+// for sandboxes, 'limits' for the sandbox limits and 'retention' for how long the trash keeps
+// sandboxes and when the cleanup archives them. Ordered from most to least privileged.
+const USER_ROLES = {
+    owner: {
+        label: 'Owner',
+        description: 'Everything, including trash retention and the sandbox cleanup',
+        permissions: ['account:create', 'account:edit', 'account:delete', 'account:enter', 'organization:create', 'organization:edit', 'organization:delete', 'organization:enter', 'limits:manage', 'retention:manage']
+    },
+    admin: {
+        label: 'Admin',
+        description: 'Create, edit, delete and enter all sandboxes and change sandbox limits',
+        permissions: ['account:create', 'account:edit', 'account:delete', 'account:enter', 'organization:create', 'organization:edit', 'organization:delete', 'organization:enter', 'limits:manage']
+    },
+    developer: {
+        label: 'Developer',
+        description: 'Create, edit, delete and enter account sandboxes; enter organization sandboxes',
+        permissions: ['account:create', 'account:edit', 'account:delete', 'account:enter', 'organization:enter']
+    },
+    viewer: {
+        label: 'Viewer',
+        description: 'See sandboxes, but not create, edit, delete or enter them',
+        permissions: []
+    }
+};
+
+const DEFAULT_USER = { name: 'Jenny Rosen', role: 'owner' };
+
+// Wording of the denied actions in error messages
+const PERMISSION_ACTION_LABELS = {
+    'account:create': 'create account sandboxes',
+    'account:edit': 'edit account sandboxes or their templates',
+    'account:delete': 'delete account sandboxes',
+    'account:enter': 'enter account sandboxes',
+    'organization:create': 'create organization sandboxes',
+    'organization:edit': 'edit organization sandboxes or their templates',
+    'organization:delete': 'delete organization sandboxes',
+    'organization:enter': 'enter organization sandboxes',
+    'limits:manage': 'change sandbox limits',
+    'retention:manage': 'change the trash retention or the sandbox cleanup'
+};
+
+class SandboxPermissions {
+    constructor(user = {}) {
+        this.user = { ...DEFAULT_USER, ...user };
+        this.setRole(this.user.role);
+    }
+
+    // Roles for the role switcher: [{ id, label, description }]
+    getRoles() {
+        return Object.entries(USER_ROLES).map(([id, role]) => ({ id, label: role.label, description: role.description }));
+    }
+
+    setRole(role) {
+        if (!Object.prototype.hasOwnProperty.call(USER_ROLES, role)) {
+            throw new Error(`Unknown role "${role}" (expected one of: ${Object.keys(USER_ROLES).join(', ')})`);
+        }
+        this.user = { ...this.user, role };
+        return this.user;
+    }
+
+    getRoleLabel(role = this.user.role) {
+        return USER_ROLES[role].label;
+    }
+
+    // Whether the user may do `action` ('create' | 'edit' | 'delete' | 'enter' | 'manage') in `scope`
+    can(action, scope = 'account') {
+        return USER_ROLES[this.user.role].permissions.includes(`${scope}:${action}`);
+    }
+
+    // Why the user may not do `action` in `scope`, or null if they may
+    getDeniedReason(action, scope = 'account') {
+        if (this.can(action, scope)) return null;
+
+        const permission = `${scope}:${action}`;
+        return `${this.user.name} is signed in as ${this.getRoleLabel()} and can't ${PERMISSION_ACTION_LABELS[permission] || permission}.`;
+    }
+
+    assert(action, scope = 'account') {
+        const reason = this.getDeniedReason(action, scope);
+        if (reason) {
+            throw new Error(reason);
+        }
+    }
+}
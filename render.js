@@ -0,0 +1,68 @@
+// Safe rendering layer - the one way dynamic markup reaches innerHTML.
+// dashboard.js and dashboard.html build markup with html`...`, which escapes every
+// interpolated value, so sandbox, account and organization names can never inject
+// markup or break out of an attribute. Behaviour is wired with delegated listeners
+// keyed by data-* attributes (e.g. data-sandbox-id), never inline onclick handlers.
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Markup that is safe to insert as-is. Only html`...` and SafeHtml.raw create it.
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    // Trust a constant string of markup (icons, static fragments) - never user data
+    static raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Escape text for element content and quoted attribute values
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+// Render one interpolated value: nested templates pass through, arrays are joined,
+// null/undefined/false render nothing and everything else is escaped
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderHtmlValue).join('');
+    }
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    return escapeHtml(value);
+}
+
+// Tagged template: html`<span title="${name}">${name}</span>`
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderHtmlValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// Replace an element's content with a template. Plain strings are rejected so
+// unescaped markup can't slip in - use textContent for text.
+function setHtml(element, template) {
+    if (!(template instanceof SafeHtml)) {
+        throw new Error('setHtml() needs an html`...` template; use textContent for plain text');
+    }
+    element.innerHTML = template.markup;
+    return element;
+}
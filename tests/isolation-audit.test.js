@@ -0,0 +1,89 @@
+// Isolation audit under jsdom: seeds known isolation problems and checks the report.
+// Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+// Same order as dashboard.html
+const SCRIPTS = ['logger.js', 'render.js', 'organization-directory.js', 'permissions.js', 'dashboard.js'];
+
+// A Dashboard on an empty page, with the bundled directory and in-memory storage
+async function createDashboard() {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'dangerously', url: 'http://localhost/' });
+    window.organizationDirectoryOptions = { data: require('../organizations.json') };
+    // As <script> elements, so their top-level classes are visible to each other
+    SCRIPTS.forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        window.document.body.appendChild(script);
+    });
+
+    const dashboard = window.eval("new Dashboard({ storage: 'memory', autoMigrate: false, cleanupIntervalDays: 0 })");
+    await dashboard.ready;
+    return dashboard;
+}
+
+function accountSandbox(id, account) {
+    return { id, name: `${account} - Test`, type: 'account', account, organizationId: null, created: '2026-01-01T00:00:00.000Z' };
+}
+
+function organizationSandbox(id, organizationId, accounts = []) {
+    return { id, name: 'Acme Inc Test', type: 'organization', organizationId, account: null, accounts, created: '2026-01-01T00:00:00.000Z' };
+}
+
+function codes(audit) {
+    // Spread first: arrays made inside the jsdom window aren't deepStrictEqual to ours
+    return [...audit.violations].map(violation => `${violation.severity}:${violation.code}`).sort();
+}
+
+test('a clean state has no violations', async () => {
+    const dashboard = await createDashboard();
+    dashboard.accountSandboxes = { 'Acme Eats UK': [accountSandbox('eats-uk-qa', 'Acme Eats UK')] };
+    dashboard.organizationSandboxes = { 'acme-inc': [organizationSandbox('acme-inc-qa', 'acme-inc', dashboard.directory.getAccounts('acme-inc'))] };
+
+    assert.deepStrictEqual(codes(dashboard.auditIsolation()), []);
+});
+
+test('reports a shared id, a wrong owner and an invalid organization key', async () => {
+    const dashboard = await createDashboard();
+    dashboard.accountSandboxes = {
+        'Acme Eats UK': [accountSandbox('shared', 'Acme Eats UK')],
+        'Acme Eats US': [accountSandbox('shared', 'Acme Eats US'), accountSandbox('eats-us-qa', 'Acme Eats UK')]
+    };
+    dashboard.organizationSandboxes = { 'undefined': [organizationSandbox('broken', 'acme-inc')] };
+
+    const audit = dashboard.auditIsolation();
+    assert.deepStrictEqual(codes(audit), ['error:invalid-organization-key', 'error:shared-id', 'error:wrong-owner']);
+
+    const byCode = Object.fromEntries(audit.violations.map(violation => [violation.code, violation]));
+    assert.strictEqual(byCode['shared-id'].sandboxId, 'shared');
+    assert.strictEqual(byCode['wrong-owner'].owner, 'Acme Eats US');
+    assert.strictEqual(byCode['wrong-owner'].sandboxId, 'eats-us-qa');
+    assert.strictEqual(byCode['invalid-organization-key'].owner, 'undefined');
+});
+
+test('reports a record listed under two owners once, as shared-record', async () => {
+    const dashboard = await createDashboard();
+    const record = accountSandbox('eats-uk-qa', 'Acme Eats UK');
+    dashboard.accountSandboxes = { 'Acme Eats UK': [record], 'Acme Eats US': [record] };
+
+    const audit = dashboard.auditIsolation();
+    assert.deepStrictEqual(codes(audit).filter(code => code.includes('shared')), ['error:shared-record']);
+});
+
+test('fixes re-run the migrations, which repair the reported records', async () => {
+    const dashboard = await createDashboard();
+    const { id, ...withoutId } = accountSandbox('eats-uk-qa', 'Acme Eats UK');
+    dashboard.accountSandboxes = { 'Acme Eats UK': [withoutId, { ...accountSandbox('eats-uk-demo', 'Acme Eats UK'), type: 'organization' }] };
+    dashboard.organizationSandboxes = { 'undefined': [organizationSandbox('broken', 'acme-inc', dashboard.directory.getAccounts('acme-inc'))] };
+
+    const audit = dashboard.auditIsolation();
+    assert.deepStrictEqual(codes(audit), ['error:invalid-organization-key', 'error:missing-id', 'warning:wrong-type']);
+    audit.violations.forEach(violation => assert.match(violation.fix, /runMigrations\(\{ fromVersion: \d \}\)/));
+
+    await dashboard.runMigrations({ fromVersion: 0 });
+    assert.deepStrictEqual(codes(dashboard.auditIsolation()), []);
+});
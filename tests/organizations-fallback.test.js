@@ -0,0 +1,20 @@
+// organizations.js must stay the generated copy of organizations.json.
+// Run with `npm test`; fix a failure with `npm run build:directory`.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const vm = require('vm');
+const { SOURCE, TARGET, renderOrganizationsScript } = require('../build-organizations');
+
+test('organizations.js holds the same directory as organizations.json', () => {
+    const window = {};
+    vm.runInNewContext(fs.readFileSync(TARGET, 'utf8'), { window });
+
+    // Round-trip through JSON so the objects from the other context compare as plain data
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(window.organizationDirectoryFallback)), JSON.parse(fs.readFileSync(SOURCE, 'utf8')));
+});
+
+test('organizations.js is unedited build output', () => {
+    assert.strictEqual(fs.readFileSync(TARGET, 'utf8'), renderOrganizationsScript(fs.readFileSync(SOURCE, 'utf8')),
+        'organizations.js differs from the build output, run `npm run build:directory`');
+});